@@ -0,0 +1,48 @@
+/**
+ * Google Scholar Orderer - Background Service Worker
+ * Fetches BibTeX / EndNote / RIS exports for the content script (Scholar serves them from
+ * scholar.googleusercontent.com, which a content script cannot read cross-origin) and opens
+ * the author comparison page
+ */
+
+'use strict';
+
+function isScholarExportUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' &&
+      (hostname === 'scholar.googleusercontent.com' || /^scholar\.google\.[a-z.]+$/.test(hostname));
+  } catch (error) {
+    return false;
+  }
+}
+
+async function fetchCitationExport(url) {
+  if (!isScholarExportUrl(url)) {
+    return { error: 'Not a Google Scholar export URL' };
+  }
+
+  try {
+    const response = await fetch(url, { credentials: 'include' });
+    return {
+      ok: response.ok,
+      status: response.status,
+      url: response.url,
+      text: await response.text()
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === 'openComparison') {
+    // Content scripts cannot navigate to extension pages themselves
+    chrome.tabs.create({ url: chrome.runtime.getURL('compare.html') });
+    return false;
+  }
+  if (message?.type !== 'fetchCitationExport') return false;
+
+  fetchCitationExport(message.url).then(sendResponse);
+  return true; // Keep the channel open for the async response
+});
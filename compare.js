@@ -0,0 +1,227 @@
+/**
+ * Google Scholar Orderer - Author Comparison Page
+ * Shows the authors pinned on profile pages (chrome.storage.local 'pinnedAuthors') side by side
+ */
+
+(function() {
+  'use strict';
+
+  const RANK_DEFS = GSOrdererShared.DISTRIBUTION_RANK_DEFS;
+
+  const SYSTEM_LABELS = { core: 'CORE', sjr: 'SJR', jcr: 'JCR', era: 'ERA', qualis: 'QUALIS' };
+
+  let pinnedAuthors = {};
+  let currentSystem = 'core';
+
+  function getAuthors() {
+    return Object.values(pinnedAuthors).sort((a, b) => (a.pinnedAt || '').localeCompare(b.pinnedAt || ''));
+  }
+
+  function formatNumber(value) {
+    return value === null || value === undefined ? '-' : value.toLocaleString();
+  }
+
+  function formatPercent(count, total) {
+    return total ? `${(count / total * 100).toFixed(0)}%` : '-';
+  }
+
+  async function unpin(authorId) {
+    delete pinnedAuthors[authorId];
+    await chrome.storage.local.set({ pinnedAuthors });
+  }
+
+  function renderBars(authors) {
+    const bars = document.getElementById('bars');
+    bars.innerHTML = '';
+
+    authors.forEach(author => {
+      const distribution = author.distribution[currentSystem];
+      const row = document.createElement('div');
+      row.className = 'bar-row';
+
+      const name = document.createElement('div');
+      name.className = 'bar-name';
+      const link = document.createElement('a');
+      link.href = author.url;
+      link.target = '_blank';
+      link.textContent = author.name || author.id;
+      name.appendChild(link);
+
+      const bar = document.createElement('div');
+      bar.className = 'bar';
+      RANK_DEFS[currentSystem].forEach(def => {
+        const count = distribution[def.key] || 0;
+        if (count === 0) return;
+        const segment = document.createElement('div');
+        segment.className = 'bar-segment';
+        segment.style.width = `${count / distribution.total * 100}%`;
+        segment.style.background = def.color;
+        segment.style.color = def.textColor;
+        segment.title = `${def.key}: ${count} (${formatPercent(count, distribution.total)})`;
+        segment.textContent = count / distribution.total >= 0.06 ? count : '';
+        bar.appendChild(segment);
+      });
+
+      const total = document.createElement('div');
+      total.className = 'bar-total';
+      total.textContent = `${distribution.total} pubs`;
+
+      row.appendChild(name);
+      row.appendChild(bar);
+      row.appendChild(total);
+      bars.appendChild(row);
+    });
+
+    const legend = document.getElementById('legend');
+    legend.innerHTML = '';
+    RANK_DEFS[currentSystem].forEach(def => {
+      const item = document.createElement('span');
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      swatch.style.background = def.color;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(def.key));
+      legend.appendChild(item);
+    });
+  }
+
+  /**
+   * Table row; the highest numeric value is highlighted when several authors are compared
+   */
+  function createRow(label, values, display = formatNumber) {
+    const row = document.createElement('tr');
+    const labelCell = document.createElement('td');
+    labelCell.textContent = label;
+    row.appendChild(labelCell);
+
+    const numbers = values.filter(value => typeof value === 'number');
+    const best = numbers.length > 1 ? Math.max(...numbers) : null;
+    values.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = display(value);
+      if (best !== null && value === best && best > 0) cell.className = 'best';
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  function createGroupRow(label, columns) {
+    const row = document.createElement('tr');
+    row.className = 'group';
+    const cell = document.createElement('td');
+    cell.colSpan = columns + 1;
+    cell.textContent = label;
+    row.appendChild(cell);
+    return row;
+  }
+
+  function renderTable(authors) {
+    const table = document.getElementById('comparison-table');
+    table.innerHTML = '';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headRow.appendChild(document.createElement('th'));
+    authors.forEach(author => {
+      const th = document.createElement('th');
+      const link = document.createElement('a');
+      link.href = author.url;
+      link.target = '_blank';
+      link.textContent = author.name || author.id;
+      th.appendChild(link);
+      if (author.affiliation) {
+        th.appendChild(document.createElement('br'));
+        const affiliation = document.createElement('small');
+        affiliation.textContent = author.affiliation;
+        th.appendChild(affiliation);
+      }
+      const unpinButton = document.createElement('button');
+      unpinButton.type = 'button';
+      unpinButton.className = 'unpin';
+      unpinButton.textContent = 'Unpin';
+      unpinButton.addEventListener('click', () => unpin(author.id));
+      th.appendChild(unpinButton);
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    body.appendChild(createGroupRow('Profile', authors.length));
+    body.appendChild(createRow('Citations', authors.map(a => a.citations)));
+    body.appendChild(createRow('Citations (recent)', authors.map(a => a.citationsRecent)));
+    body.appendChild(createRow('h-index', authors.map(a => a.hIndex)));
+    body.appendChild(createRow('i10-index', authors.map(a => a.i10Index)));
+    body.appendChild(createRow('Publications', authors.map(a => a.publications)));
+
+    Object.keys(RANK_DEFS).forEach(system => {
+      body.appendChild(createGroupRow(SYSTEM_LABELS[system], authors.length));
+      RANK_DEFS[system].forEach(def => {
+        body.appendChild(createRow(def.key, authors.map(a => a.distribution[system][def.key] || 0)));
+      });
+      body.appendChild(createRow('Ranked share', authors.map(a => {
+        const distribution = a.distribution[system];
+        return distribution.total ? (distribution.total - distribution['Unranked']) / distribution.total : null;
+      }), value => value === null ? '-' : `${(value * 100).toFixed(0)}%`));
+    });
+
+    const pinnedRow = document.createElement('tr');
+    const pinnedLabel = document.createElement('td');
+    pinnedLabel.textContent = 'Pinned on';
+    pinnedRow.appendChild(pinnedLabel);
+    authors.forEach(author => {
+      const cell = document.createElement('td');
+      cell.textContent = author.pinnedAt ? new Date(author.pinnedAt).toLocaleDateString() : '-';
+      pinnedRow.appendChild(cell);
+    });
+    body.appendChild(pinnedRow);
+
+    table.appendChild(body);
+  }
+
+  function render() {
+    const authors = getAuthors();
+    document.getElementById('empty').hidden = authors.length > 0;
+    document.getElementById('comparison').hidden = authors.length === 0;
+    if (authors.length === 0) return;
+
+    document.querySelectorAll('#system-toggle button').forEach(button => {
+      button.classList.toggle('active', button.getAttribute('data-system') === currentSystem);
+    });
+    renderBars(authors);
+    renderTable(authors);
+  }
+
+  function wireControls() {
+    document.querySelectorAll('#system-toggle button').forEach(button => {
+      button.addEventListener('click', () => {
+        currentSystem = button.getAttribute('data-system');
+        render();
+      });
+    });
+
+    document.getElementById('clear-all').addEventListener('click', async () => {
+      if (!confirm('Unpin all authors?')) return;
+      pinnedAuthors = {};
+      await chrome.storage.local.set({ pinnedAuthors });
+    });
+
+    // Pins and unpins from Scholar tabs (and from this page) re-render the comparison
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes.pinnedAuthors) return;
+      pinnedAuthors = changes.pinnedAuthors.newValue || {};
+      render();
+    });
+  }
+
+  async function init() {
+    const stored = await chrome.storage.local.get('pinnedAuthors');
+    pinnedAuthors = stored.pinnedAuthors || {};
+
+    render();
+    wireControls();
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
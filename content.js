@@ -22,7 +22,17 @@
       profileContainer: '#gsc_a_b',
       profileResultItem: '.gsc_a_tr',
       profileVenueLine: '.gs_gray',  // The venue is in the gray text (third line)
-      profileCitationCell: '.gsc_a_c'
+      profileCitationCell: '.gsc_a_c',
+      profileYearCell: '.gsc_a_y span',
+      profileTable: '#gsc_a_t',
+      profileShowMore: '#gsc_bpf_more',
+      // My library page selectors (entries use the search result markup)
+      libraryItemLabel: '.gs_lbl',
+      // Scholar Metrics venue list selectors (top_venues / search_venues)
+      metricsTable: '#gsc_mvt_table',
+      metricsRow: '#gsc_mvt_table tr',
+      metricsVenueCell: '.gsc_mvt_t',
+      metricsH5Cell: '.gsc_mvt_n'  // h5-index, then h5-median
     },
     // CORE ranking badge colors
     coreBadges: {
@@ -60,6 +70,45 @@
       'B3': { color: '#e1bee7', textColor: '#212529' },
       'B4': { color: '#f3e5f5', textColor: '#212529' },
       'B5': { color: '#f8f0fa', textColor: '#212529' }
+    },
+    // Tier order (best first) for each ranking system, used by the rank-based sort modes (shared.js)
+    rankOrder: GSOrdererShared.RANK_ORDER,
+    // Warning badge labels for the venue flag types in the data file ("flags"); other types show as "Flagged"
+    flagLabels: {
+      predatory: 'Predatory',
+      discontinued: 'Discontinued',
+      retracted: 'Retracted'
+    },
+    // Log levels, default settings and quality weights are shared with the options page (shared.js)
+    logLevels: GSOrdererShared.LOG_LEVELS,
+    defaultSettings: GSOrdererShared.DEFAULT_SETTINGS,
+    defaultQualityWeights: GSOrdererShared.DEFAULT_QUALITY_WEIGHTS,
+    // Fuzzy venue matching thresholds (token similarity, 0-1)
+    fuzzy: {
+      minScore: 0.6,         // Below this no match is reported
+      confidentScore: 0.85,  // Below this the match is shown as "probable"
+      minTruncatedTokens: 3, // Shorter truncated names ("Journal of…") go to the "?" lookup instead
+      truncatedTailWeight: 0.5 // Weight of database words after the last matched one, for truncated names
+    },
+    // Profile export clicks "Show more" until all publications are listed
+    profileExport: {
+      maxPages: 100,       // Safety limit on "Show more" clicks
+      pageTimeout: 10000   // Give up when a click loads nothing for this long (ms)
+    },
+    // Library export fetches the following result pages of the library / label
+    libraryExport: {
+      maxPages: 50         // Safety limit on fetched pages
+    },
+    // Citation lookups ("?" button and "Resolve all") run one at a time
+    lookupQueue: {
+      minIntervalSeconds: 1, // Floor for settings.lookupIntervalSeconds
+      cooldownMinutes: 10,   // Pause after a CAPTCHA / 429, doubled for each further block
+      maxCooldowns: 3        // Blocks in a row before queued lookups are cancelled
+    },
+    // Venue names resolved by the "?" button are kept in extension storage for this long
+    lookupCache: {
+      storageKey: 'venueLookups',
+      maxAgeDays: 90
     }
   };
 
@@ -70,6 +119,34 @@
   let rankingsData = null;
   let originalOrder = [];
   let currentSort = 'default';
+  // Active result filters (empty values mean "no threshold")
+  const currentFilters = {
+    core: '',
+    sjr: '',
+    minH5: 0,
+    hideUnranked: false,
+    hideFlagged: false,
+    minYear: 0,
+    maxYear: 0
+  };
+  // Ranking resolved for each search result element (null when unranked)
+  const resultRankings = new WeakMap();
+  // Publication year parsed from each search result's author line (null when unknown)
+  const resultYears = new WeakMap();
+  // User-adjustable quality score weights (persisted in chrome.storage.sync)
+  let qualityWeights = { ...CONFIG.defaultQualityWeights };
+  // User settings from the options page (persisted in chrome.storage.sync)
+  let settings = GSOrdererShared.mergeSettings({});
+  // Venue picked for each ambiguous truncated name: normalised name -> venue key (chrome.storage.local)
+  let venueChoices = {};
+  // User corrections checked before rankingsData (chrome.storage.local):
+  // aliases: normalised name -> key, venues: key -> venue data, suppressed: normalised name -> wrongly matched key,
+  // flags: extra venue warnings in the data file's "flags" format (imported on the options page)
+  let venueOverrides = { aliases: {}, venues: {}, suppressed: {}, flags: [] };
+  // Venue name detected for each search result (used as the key for overrides)
+  const resultVenues = new WeakMap();
+  // Venue, ranking, year and author position of each profile row, matched once (reset when overrides change)
+  let profilePublications = new WeakMap();
 
   // ============================================
   // Inject CSS Styles
@@ -105,11 +182,733 @@
       const url = chrome.runtime.getURL('data/core-rankings.json');
       const response = await fetch(url);
       rankingsData = await response.json();
-      console.log('[Scholar Orderer] Loaded rankings data:', Object.keys(rankingsData.conferences).length, 'conferences,', Object.keys(rankingsData.journals).length, 'journals');
+      logInfo('Loaded rankings data:', Object.keys(rankingsData.conferences).length, 'conferences,', Object.keys(rankingsData.journals).length, 'journals');
     } catch (error) {
-      console.error('[Scholar Orderer] Failed to load rankings data:', error);
+      logError('Failed to load rankings data:', error);
       rankingsData = { conferences: {}, journals: {}, aliases: {} };
     }
+    buildVenueIndex();
+    buildFlagIndex();
+  }
+
+  // ============================================
+  // Logging & Match Trace
+  // ============================================
+
+  const MAX_TRACE_ENTRIES = 2000;
+
+  // Structured record of venue extraction and matching decisions, exportable as JSON
+  const matchTrace = [];
+
+  function isLogLevelEnabled(level) {
+    return CONFIG.logLevels.indexOf(level) <= CONFIG.logLevels.indexOf(settings.logLevel);
+  }
+
+  function logAt(level, method, args) {
+    // Failures always reach the console; the level only silences warnings, info and debug output
+    if (level !== 'error' && (settings.logLevel === 'off' || !isLogLevelEnabled(level))) return;
+    console[method]('[Scholar Orderer]', ...args);
+  }
+
+  function logError(...args) { logAt('error', 'error', args); }
+  function logWarn(...args) { logAt('warn', 'warn', args); }
+  function logInfo(...args) { logAt('info', 'info', args); }
+  function logDebug(...args) { logAt('debug', 'log', args); }
+
+  /**
+   * Record one venue extraction/matching decision
+   * Entry fields: source, index, authorLine, venue, matcher, key, outcome (plus optional extras)
+   * Only recorded while logging is enabled, so the default configuration has no overhead
+   */
+  function traceMatch(entry) {
+    if (settings.logLevel === 'off') return;
+    matchTrace.push({ time: new Date().toISOString(), ...entry });
+    if (matchTrace.length > MAX_TRACE_ENTRIES) {
+      matchTrace.shift();
+    }
+    logDebug('Match trace:', entry);
+  }
+
+  function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportMatchTrace() {
+    const report = {
+      exportedAt: new Date().toISOString(),
+      page: window.location.href,
+      rankingsDataVersion: rankingsData ? rankingsData.lastUpdated || null : null,
+      extensionVersion: chrome.runtime.getManifest().version,
+      entries: matchTrace
+    };
+    downloadFile(`scholar-orderer-trace-${Date.now()}.json`, JSON.stringify(report, null, 2), 'application/json');
+  }
+
+  /**
+   * Small "Export trace" button, only visible while logging is enabled (see styles.css)
+   */
+  function createTraceExportButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'gs-orderer-trace-btn';
+    button.textContent = 'Export trace';
+    button.title = 'Download the venue matching trace as JSON (attach it to bug reports)';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      exportMatchTrace();
+    });
+    return button;
+  }
+
+  // ============================================
+  // Settings
+  // ============================================
+
+  async function loadSettings() {
+    try {
+      const stored = await chrome.storage.sync.get(['settings', 'qualityWeights']);
+      settings = GSOrdererShared.mergeSettings(stored.settings || {});
+      if (stored.qualityWeights) {
+        qualityWeights = { ...CONFIG.defaultQualityWeights, ...stored.qualityWeights };
+      }
+    } catch (error) {
+      logError('Failed to load settings:', error);
+    }
+    applyBadgeVisibility();
+  }
+
+  /**
+   * Hide disabled badge types with a root-level class so existing badges update live
+   */
+  function applyBadgeVisibility() {
+    Object.keys(settings.badges).forEach(type => {
+      document.documentElement.classList.toggle(`gs-orderer-hide-${type}`, !settings.badges[type]);
+    });
+    document.documentElement.classList.toggle('gs-orderer-logging', settings.logLevel !== 'off');
+  }
+
+  /**
+   * Apply settings changed on the options page (or in another tab) to this page
+   */
+  function setupSettingsListener() {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.lookupPausedUntil &&
+          (changes.lookupPausedUntil.newValue || 0) !== lookupPausedUntil) {
+        // Another tab hit a CAPTCHA (or resumed); follow its pause
+        lookupPausedUntil = changes.lookupPausedUntil.newValue || 0;
+        if (isLookupPaused()) {
+          showBlockedBanner();
+          scheduleLookupResume();
+        } else {
+          clearTimeout(lookupResumeTimer);
+          hideBlockedBanner();
+          runLookupQueue();
+        }
+      }
+      if (area === 'local' && changes.pinnedAuthors) {
+        // Authors can be unpinned from the comparison page or another tab
+        pinnedAuthors = changes.pinnedAuthors.newValue || {};
+        updatePinControls();
+      }
+      if (area === 'local' && changes.venueOverrides) {
+        venueOverrides = { ...emptyOverrides(), ...(changes.venueOverrides.newValue || {}) };
+        refreshAnnotations();
+      }
+      if (area !== 'sync') return;
+
+      if (changes.qualityWeights) {
+        qualityWeights = { ...CONFIG.defaultQualityWeights, ...(changes.qualityWeights.newValue || {}) };
+        document.querySelectorAll('#gs-orderer-weights input[data-signal]').forEach(input => {
+          input.value = qualityWeights[input.getAttribute('data-signal')];
+        });
+        refreshQualityScores();
+      }
+
+      if (changes.settings) {
+        const previous = settings;
+        settings = GSOrdererShared.mergeSettings(changes.settings.newValue || {});
+        applyBadgeVisibility();
+
+        // Only follow a new default sort if the user hasn't picked another sort on this page
+        if (settings.defaultSort !== previous.defaultSort && currentSort === previous.defaultSort &&
+            document.querySelector(CONFIG.selectors.resultsContainer)) {
+          sortResults(settings.defaultSort);
+        }
+
+        if ((settings.distributionMode !== previous.distributionMode ||
+             JSON.stringify(settings.venuePoints) !== JSON.stringify(previous.venuePoints)) &&
+            document.querySelector('#gs-orderer-distribution-bar')) {
+          createRankingDistributionBar();
+        }
+      }
+    });
+  }
+
+  // ============================================
+  // Venue Index
+  // ============================================
+
+  // A detected venue matches a longer database name it contains only if that name has at least
+  // this many characters, and a truncated venue contained in a database name needs at least
+  // MIN_TRUNCATED_LENGTH characters to avoid false positives
+  // e.g. "International Conference on Cyber-Physical" matches "International Conference on Cyber-Physical Systems"
+  const MIN_CONTAINED_LENGTH = 10;
+  const MIN_TRUNCATED_LENGTH = 25;
+
+  /**
+   * Normalised, pre-indexed view of rankingsData, built once by buildVenueIndex()
+   * - exact:   normalised name -> entries with that name
+   * - windows: first MIN_CONTAINED_LENGTH chars of a name -> entries (names contained in a detected venue)
+   * - tokens:  word -> entries whose name contains it (names containing a truncated venue)
+   * - trie:    word-level prefix trie for findPrefixMatches
+   * Entry ordinals follow the original scan order (aliases, conferences, journals) so the
+   * first match wins exactly as it did with the linear scans.
+   */
+  let venueIndex = null;
+
+  function addToIndexList(map, key, value) {
+    const list = map.get(key);
+    if (list) {
+      list.push(value);
+    } else {
+      map.set(key, [value]);
+    }
+  }
+
+  function addToTrie(trie, name, item) {
+    let node = trie;
+    name.split(' ').forEach(token => {
+      let child = node.children.get(token);
+      if (!child) {
+        child = { children: new Map(), items: [] };
+        node.children.set(token, child);
+      }
+      node = child;
+    });
+    node.items.push(item);
+  }
+
+  /**
+   * All trie items whose name starts with the given normalised prefix
+   * Every word but the last must match exactly; the last may be a partial word
+   */
+  function collectTriePrefix(trie, prefix) {
+    const tokens = prefix.split(' ');
+    const last = tokens.pop();
+
+    let node = trie;
+    for (const token of tokens) {
+      node = node.children.get(token);
+      if (!node) return [];
+    }
+
+    const items = [];
+    const collect = (subtree) => {
+      items.push(...subtree.items);
+      subtree.children.forEach(collect);
+    };
+    node.children.forEach((child, token) => {
+      if (token.startsWith(last)) collect(child);
+    });
+    return items;
+  }
+
+  function buildVenueIndex() {
+    const startTime = performance.now();
+    const index = {
+      entries: [],
+      exact: new Map(),
+      windows: new Map(),
+      tokens: new Map(),
+      trie: { children: new Map(), items: [] },
+      fuzzyTokens: new Map(),
+      vocabulary: [],
+      acronyms: new Map()
+    };
+
+    const addEntry = (name, key, type, data, matcher, exactMatch) => {
+      const norm = normalizeString(name);
+      if (!norm) return;
+
+      const entry = { ordinal: index.entries.length, name, norm, key, type, data, matcher, exactMatch: !!exactMatch };
+      index.entries.push(entry);
+      addToIndexList(index.exact, norm, entry);
+
+      // Exact-match-only venues never take part in fuzzy matching
+      if (!entry.exactMatch) {
+        entry.fuzzyWords = getFuzzyTokens(name);
+        new Set(entry.fuzzyWords).forEach(token => addToIndexList(index.fuzzyTokens, token, entry));
+      }
+
+      // Exact-match-only and short names never match by containment
+      if (entry.exactMatch || norm.length < MIN_CONTAINED_LENGTH) return;
+      entry.containable = true;
+      addToIndexList(index.windows, norm.slice(0, MIN_CONTAINED_LENGTH), entry);
+      new Set(norm.split(' ')).forEach(token => addToIndexList(index.tokens, token, entry));
+    };
+
+    const { conferences, journals } = rankingsData;
+    const aliases = rankingsData.aliases || {};
+
+    // Only full-name aliases (not acronyms) that point at a known venue take part in matching
+    Object.entries(aliases).forEach(([alias, canonical]) => {
+      if (normalizeString(alias).length < MIN_CONTAINED_LENGTH) return;
+      if (conferences[canonical]) {
+        addEntry(alias, canonical, 'conference', conferences[canonical], 'alias', conferences[canonical].exactMatch);
+      } else if (journals[canonical]) {
+        addEntry(alias, canonical, 'journal', journals[canonical], 'alias', journals[canonical].exactMatch);
+      }
+    });
+    Object.entries(conferences).forEach(([key, data]) => {
+      addEntry(data.fullName || '', key, 'conference', data, 'conference-name', data.exactMatch);
+    });
+    Object.entries(journals).forEach(([key, data]) => {
+      addEntry(data.fullName || '', key, 'journal', data, 'journal-name', data.exactMatch);
+    });
+
+    // Prefix trie: conferences, journals, then aliases (alias prefix matches carry no type)
+    let prefixOrdinal = 0;
+    const addPrefixName = (name, key, type, data) => {
+      const norm = normalizeString(name);
+      if (norm) addToTrie(index.trie, norm, { ordinal: prefixOrdinal++, key, type, data });
+    };
+    Object.entries(conferences).forEach(([key, data]) => addPrefixName(data.fullName || '', key, 'conference', data));
+    Object.entries(journals).forEach(([key, data]) => addPrefixName(data.fullName || '', key, 'journal', data));
+    Object.entries(aliases).forEach(([alias, canonical]) => {
+      const data = conferences[canonical] || journals[canonical];
+      if (data) addPrefixName(alias, canonical, null, data);
+    });
+
+    index.vocabulary = [...index.fuzzyTokens.keys()].sort();
+
+    // Acronym index: conference/journal keys (numeric suffixes folded into the base acronym) and short aliases
+    const seenAcronyms = new Set();
+    const addAcronym = (acronym, key, type, data, tier) => {
+      const upper = acronym.toUpperCase();
+      if (seenAcronyms.has(`${upper}|${key}`)) return;
+      seenAcronyms.add(`${upper}|${key}`);
+      addToIndexList(index.acronyms, upper, {
+        key,
+        type,
+        data,
+        exactMatch: !!data.exactMatch,
+        tier,
+        words: getFuzzyTokens(data.fullName || '')
+      });
+    };
+    [['conference', conferences], ['journal', journals]].forEach(([type, venues]) => {
+      Object.entries(venues).forEach(([key, data]) => {
+        if (!/^[A-Za-z0-9][A-Za-z0-9&\-\/*]*$/.test(key)) return;
+        addAcronym(key, key, type, data, ACRONYM_TIER_KEY);
+        const base = key.replace(/\d+$/, '');
+        if (base !== key && (conferences[base] || journals[base])) {
+          addAcronym(base, key, type, data, ACRONYM_TIER_SUFFIXED);
+        }
+      });
+    });
+    Object.entries(aliases).forEach(([alias, canonical]) => {
+      if (normalizeString(alias).length >= MIN_CONTAINED_LENGTH) return;
+      if (conferences[canonical]) addAcronym(alias, canonical, 'conference', conferences[canonical], ACRONYM_TIER_ALIAS);
+      else if (journals[canonical]) addAcronym(alias, canonical, 'journal', journals[canonical], ACRONYM_TIER_ALIAS);
+    });
+
+    venueIndex = index;
+    logInfo('Built venue index:', index.entries.length, 'names in', (performance.now() - startTime).toFixed(0), 'ms');
+  }
+
+  /**
+   * Earliest entry (in original scan order) matching a normalised venue name:
+   * - equal names always match
+   * - the detected venue contains the entry's name (names of MIN_CONTAINED_LENGTH+ chars)
+   * - the entry's name contains a truncated detected venue of MIN_TRUNCATED_LENGTH+ chars
+   */
+  function findIndexedMatch(normalized, preferredType = null) {
+    if (!venueIndex) return null;
+
+    // Entries of the preferred type (from a citation's entry type) beat all others
+    const priority = (entry) => (preferredType && entry.type !== preferredType ? venueIndex.entries.length : 0) + entry.ordinal;
+    let best = null;
+    const consider = (entry) => {
+      if (!best || priority(entry) < priority(best)) best = entry;
+    };
+
+    (venueIndex.exact.get(normalized) || []).forEach(consider);
+
+    // Names contained in the detected venue: slide a window over it and verify each candidate
+    for (let i = 0; i + MIN_CONTAINED_LENGTH <= normalized.length; i++) {
+      const candidates = venueIndex.windows.get(normalized.slice(i, i + MIN_CONTAINED_LENGTH));
+      if (!candidates) continue;
+      candidates.forEach(entry => {
+        if (normalized.startsWith(entry.norm, i)) consider(entry);
+      });
+    }
+
+    // Truncated venue contained in a longer name: its inner words are whole words of that name,
+    // so the rarest inner word narrows the candidates (outer words may be cut mid-word)
+    if (normalized.length >= MIN_TRUNCATED_LENGTH) {
+      const innerTokens = normalized.split(' ').slice(1, -1);
+      let candidates = venueIndex.entries;
+      if (innerTokens.length > 0) {
+        candidates = innerTokens
+          .map(token => venueIndex.tokens.get(token) || [])
+          .reduce((rarest, list) => list.length < rarest.length ? list : rarest);
+      }
+      candidates.forEach(entry => {
+        if (entry.containable && entry.norm.includes(normalized)) {
+          logDebug('Partial match (truncated venue):', normalized, '->', entry.norm);
+          consider(entry);
+        }
+      });
+    }
+
+    return best;
+  }
+
+  // ============================================
+  // Fuzzy Venue Matching
+  // ============================================
+
+  // Words ISO-4 abbreviations omit, plus "proceedings" which rarely appears in database names
+  // (single letters stay: they are series letters, as in "Physical Review A")
+  const FUZZY_STOPWORDS = new Set(['of', 'on', 'the', 'and', 'for', 'in', 'an', 'at', 'to', 'proceedings']);
+
+  // Publisher / organiser words a detected name may leave out before the rest of the database name
+  const FUZZY_OPTIONAL_LEADING_WORDS = new Set(['ieee', 'acm', 'cvf', 'usenix', 'siam', 'aaai', 'international', 'annual']);
+
+  // ISO-4 and common abbreviations that are not simple truncations of the full word
+  // (truncations such as "Anal." -> "analysis" or "Trans." -> "transactions" are handled by prefix matching)
+  const ISO4_EXPANSIONS = {
+    'j': 'journal',
+    'proc': 'proceedings',
+    'intl': 'international',
+    'natl': 'national',
+    'mgmt': 'management',
+    'assn': 'association',
+    'govt': 'government',
+    'dept': 'department',
+    'jpn': 'japanese',
+    'confs': 'conferences'
+  };
+
+  const fuzzyCache = new Map();
+
+  // Words of a database name for fuzzy matching; "IEEE/CVF" and "Cyber-Physical" count as two words each
+  function getFuzzyTokens(name) {
+    return normalizeString(name.replace(/[\/\-–]/g, ' ')).split(' ').filter(token => token && !FUZZY_STOPWORDS.has(token));
+  }
+
+  /**
+   * Tokenise a raw venue name, expanding ISO-4 abbreviations
+   * Tokens written with a trailing period ("Anal.") or cut off by truncation are marked as
+   * abbreviations, which match any database word they are a prefix of
+   */
+  function tokenizeForFuzzyMatch(venueName, truncated) {
+    const rawTokens = venueName.replace(/&/g, ' and ').replace(/…/g, ' ').split(/[\s\/\-–]+/);
+    const tokens = [];
+
+    rawTokens.forEach(raw => {
+      const text = normalizeString(raw);
+      const expanded = ISO4_EXPANSIONS[text];
+      if (!text || FUZZY_STOPWORDS.has(expanded || text)) return;
+      if (expanded) {
+        tokens.push({ text: expanded, abbreviated: false });
+      } else {
+        tokens.push({ text, abbreviated: /\.$/.test(raw) });
+      }
+    });
+
+    if (truncated && tokens.length > 0) {
+      tokens[tokens.length - 1].abbreviated = true;
+    }
+    return tokens;
+  }
+
+  function fuzzyTokenMatches(queryToken, word) {
+    return queryToken.abbreviated ? word.startsWith(queryToken.text) : word === queryToken.text;
+  }
+
+  /**
+   * Dice similarity between query tokens and a database name, matching tokens in order
+   * The query must cover the start of the name ("Journal of Physics" is not "American Journal
+   * of Physics"). For truncated queries the database words after the last matched one were
+   * possibly cut off, so they count with a reduced weight
+   */
+  function scoreFuzzyCandidate(queryTokens, words, truncated) {
+    let matched = 0;
+    let position = 0;
+    let firstMatched = -1;
+    let lastMatched = -1;
+
+    queryTokens.forEach(token => {
+      for (let i = position; i < words.length; i++) {
+        if (fuzzyTokenMatches(token, words[i])) {
+          matched++;
+          position = i + 1;
+          if (firstMatched < 0) firstMatched = i;
+          lastMatched = i;
+          return;
+        }
+      }
+    });
+
+    if (matched < Math.min(2, queryTokens.length)) return 0;
+    if (words.slice(0, firstMatched).some(word => !FUZZY_OPTIONAL_LEADING_WORDS.has(word))) return 0;
+    const trailingWords = words.length - lastMatched - 1;
+    const comparedWords = truncated
+      ? lastMatched + 1 + trailingWords * CONFIG.fuzzy.truncatedTailWeight
+      : words.length;
+    return (2 * matched) / (queryTokens.length + comparedWords);
+  }
+
+  /**
+   * Token-based fuzzy match, used after the exact, alias and prefix stages fail
+   * Returns a ranking with matcher 'fuzzy', a 0-1 confidence and the detected name, or null
+   * preferredType ('conference' / 'journal') wins ties between equally scored candidates
+   */
+  function findFuzzyMatch(venueName, truncated = false, preferredType = null) {
+    if (!venueIndex || !venueName || isVenueSuppressed(venueName)) return null;
+
+    const cacheKey = `${preferredType ? preferredType + ':' : ''}${truncated ? '…' : ''}${venueName}`;
+    if (fuzzyCache.has(cacheKey)) return fuzzyCache.get(cacheKey);
+
+    const queryTokens = tokenizeForFuzzyMatch(venueName, truncated);
+    let result = null;
+
+    // A few words cut off by "…" fit too many venues; leave those to the "?" lookup
+    const tooShort = truncated && queryTokens.length < CONFIG.fuzzy.minTruncatedTokens;
+    if (tooShort) {
+      logDebug('Fuzzy match skipped - truncated venue too short:', venueName);
+    } else if (queryTokens.length > 0) {
+      // Gather candidates sharing at least one word, counting shared words
+      const hits = new Map();
+      queryTokens.forEach(token => {
+        let words = [token.text];
+        if (token.abbreviated) {
+          // Short abbreviations ("J.") would expand to too many words to be useful for candidate lookup
+          if (token.text.length < 3) return;
+          words = findVocabularyWithPrefix(token.text, 50);
+        }
+        const seen = new Set();
+        words.forEach(word => {
+          (venueIndex.fuzzyTokens.get(word) || []).forEach(entry => {
+            if (seen.has(entry)) return;
+            seen.add(entry);
+            hits.set(entry, (hits.get(entry) || 0) + 1);
+          });
+        });
+      });
+
+      const candidates = [...hits.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].ordinal - b[0].ordinal)
+        .slice(0, 200)
+        .map(([entry]) => entry);
+
+      let best = null;
+      let bestScore = 0;
+      candidates.forEach(entry => {
+        const score = scoreFuzzyCandidate(queryTokens, entry.fuzzyWords, truncated);
+        if (score > bestScore || (score === bestScore && best && fuzzyCandidateWinsTie(entry, best, preferredType))) {
+          best = entry;
+          bestScore = score;
+        }
+      });
+
+      if (best && bestScore >= CONFIG.fuzzy.minScore) {
+        result = {
+          ...best.data,
+          key: best.key,
+          type: best.type,
+          matcher: 'fuzzy',
+          confidence: bestScore,
+          detectedName: venueName,
+          matchedName: best.name
+        };
+        logDebug('Fuzzy match:', venueName, '->', best.key, `(${(bestScore * 100).toFixed(0)}%)`);
+      }
+    }
+
+    fuzzyCache.set(cacheKey, result);
+    return result;
+  }
+
+  function fuzzyCandidateWinsTie(entry, best, preferredType) {
+    if (preferredType && (entry.type === preferredType) !== (best.type === preferredType)) {
+      return entry.type === preferredType;
+    }
+    return entry.ordinal < best.ordinal;
+  }
+
+  function findVocabularyWithPrefix(prefix, limit) {
+    const vocabulary = venueIndex.vocabulary;
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (vocabulary[mid] < prefix) low = mid + 1; else high = mid;
+    }
+
+    const words = [];
+    for (let i = low; i < vocabulary.length && words.length < limit && vocabulary[i].startsWith(prefix); i++) {
+      words.push(vocabulary[i]);
+    }
+    return words;
+  }
+
+  function isProbableMatch(ranking) {
+    return !!ranking && ranking.matcher === 'fuzzy' && ranking.confidence < CONFIG.fuzzy.confidentScore;
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ============================================
+  // Acronym Matching
+  // ============================================
+
+  // Publisher/society acronyms that prefix venue names rather than identify a venue
+  const ORGANIZATION_ACRONYMS = new Set(['IEEE', 'ACM', 'IFIP', 'IET', 'CVF', 'IAPR', 'SIAM', 'AAAS', 'ACM/IEEE', 'IEEE/ACM', 'IEEE/CVF']);
+
+  // Words hinting at the venue type when disambiguating an acronym
+  const CONFERENCE_HINTS = new Set(['conference', 'conferences', 'conf', 'proceedings', 'proc', 'symposium', 'symp', 'workshop', 'congress', 'meeting']);
+  const JOURNAL_HINTS = new Set(['journal', 'j', 'transactions', 'trans', 'letters', 'lett', 'review', 'rev', 'magazine', 'bulletin']);
+
+  /**
+   * Acronyms start with a capital (or digit) and are at least half capitals:
+   * "ICML", "NeurIPS", "SIGKDD", "3DV" but not "Nature" or "Oakland"
+   */
+  function looksLikeAcronym(token) {
+    if (!token || token.length < 2 || token.length > 15) return false;
+    if (!/^[A-Z0-9][A-Za-z0-9&\-\/*]*$/.test(token)) return false;
+    const capitals = (token.match(/[A-Z]/g) || []).length;
+    const letters = (token.match(/[A-Za-z]/g) || []).length;
+    return capitals >= 2 && capitals * 2 >= letters;
+  }
+
+  /**
+   * Recognise a venue written as an acronym plus year and return just the acronym
+   * "ICML 2023", "NeurIPS'23", "CVPR '21", "Proc. ICSE 2022" -> "ICML", "NeurIPS", "CVPR", "ICSE"
+   */
+  function extractAcronymWithYear(text) {
+    const match = text.match(/^(?:Proc(?:eedings)?\.?\s+(?:of\s+)?(?:the\s+)?)?([A-Za-z0-9][A-Za-z0-9&\-\/*]*)\s*(?:['’]\s*\d{2}|\s\d{4})\b/);
+    if (!match) return null;
+    const acronym = match[1];
+    if (!looksLikeAcronym(acronym) || ORGANIZATION_ACRONYMS.has(acronym.toUpperCase())) return null;
+    return acronym;
+  }
+
+  // Acronym candidate tiers, most authoritative first
+  const ACRONYM_TIER_ALIAS = 0;     // Curated short alias ("NIPS" -> NeurIPS)
+  const ACRONYM_TIER_KEY = 1;       // Venue key ("PRL")
+  const ACRONYM_TIER_SUFFIXED = 2;  // Key with numeric suffix sharing the acronym ("PRL2")
+
+  /**
+   * Match a venue by acronym against conference/journal keys and short aliases
+   * Only venue texts that are essentially "ACRONYM [year]" take this path on the acronym alone
+   * (publisher acronyms, years and type words such as "Proc." or "Conference" may surround it);
+   * there the single most authoritative candidate is used when several share the acronym.
+   * Any other words must agree with the candidate's full name. Type words veto candidates of
+   * the other type, as does preferredType ('conference' / 'journal', e.g. from a BibTeX entry type)
+   * when a candidate of that type exists. Venues flagged exactMatch only match the bare form, and
+   * otherwise keep their acronym from falling through to lesser candidates.
+   */
+  function findAcronymMatch(venueName, preferredType = null) {
+    if (!venueIndex || !venueName || isVenueSuppressed(venueName)) return null;
+
+    const words = venueName.replace(/['’]\s*\d{2}\b/g, ' ').split(/[\s,;:()]+/).filter(Boolean);
+    const bare = words.filter(word => !/^\d{4}$/.test(word));
+    const normalizedWords = bare.map(word => normalizeString(word)).filter(Boolean);
+    const hasConferenceHint = normalizedWords.some(word => CONFERENCE_HINTS.has(word));
+    const hasJournalHint = normalizedWords.some(word => JOURNAL_HINTS.has(word));
+
+    const acronymTokens = bare.filter(token => looksLikeAcronym(token) && !ORGANIZATION_ACRONYMS.has(token.toUpperCase()));
+
+    for (const acronym of acronymTokens) {
+      const context = getAcronymContext(bare, acronym);
+      const isBare = context.length === 0;
+      const allCandidates = venueIndex.acronyms.get(acronym.toUpperCase()) || [];
+      let candidates = allCandidates
+        .filter(item => isBare || !item.exactMatch)
+        .filter(item => !(hasConferenceHint && !hasJournalHint && item.type === 'journal'))
+        .filter(item => !(hasJournalHint && !hasConferenceHint && item.type === 'conference'));
+      if (preferredType && candidates.some(item => item.type === preferredType)) {
+        candidates = candidates.filter(item => item.type === preferredType);
+      }
+      if (candidates.length === 0) continue;
+
+      const claimedByExactVenue = allCandidates.some(item => item.exactMatch) && !isBare;
+
+      let chosen = null;
+      if (isBare) {
+        // Nothing else to go on: take the single most authoritative candidate
+        const bestTier = Math.min(...candidates.map(item => item.tier));
+        const inBestTier = candidates.filter(item => item.tier === bestTier);
+        if (inBestTier.length === 1) chosen = inBestTier[0];
+      } else if (!claimedByExactVenue) {
+        chosen = disambiguateAcronym(candidates, context);
+      }
+      if (!chosen) {
+        logDebug('No acronym match:', acronym, 'in', venueName, '->', candidates.map(c => c.key));
+        continue;
+      }
+
+      logDebug('Matched by acronym:', acronym, '->', chosen.key);
+      return { ...chosen.data, key: chosen.key, type: chosen.type, matcher: 'acronym' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Words of the venue text besides the acronym that say something about the venue:
+   * stopwords, type words ("Proc.", "Journal") and publisher acronyms ("IEEE") are left out
+   */
+  function getAcronymContext(words, acronym) {
+    return words
+      .filter(word => word !== acronym && !ORGANIZATION_ACRONYMS.has(word.toUpperCase()))
+      .map(word => normalizeString(word))
+      .filter(word => word && !FUZZY_STOPWORDS.has(word) && !CONFERENCE_HINTS.has(word) && !JOURNAL_HINTS.has(word));
+  }
+
+  /**
+   * Pick the candidate whose full name contains most of the context words
+   * At least two thirds of the context words must appear in the name ("Findings of EMNLP" is not
+   * EMNLP, "ACS Applied Materials" is not Applied Clay Science); returns null when no candidate
+   * qualifies or two tie
+   */
+  function disambiguateAcronym(candidates, context) {
+    const scored = candidates.map(item => {
+      const score = context.filter(word => item.words.some(nameWord => nameWord === word || nameWord.startsWith(word))).length;
+      return { item, score };
+    }).sort((a, b) => b.score - a.score);
+
+    if (scored[0].score * 3 < context.length * 2) return null;
+    if (scored.length > 1 && scored[0].score === scored[1].score) return null;
+    return scored[0].item;
+  }
+
+  /**
+   * Best ranking for a venue name outside the search page flow:
+   * exact/alias name match, then acronym, then fuzzy
+   * preferredType ('conference' / 'journal') breaks ties between same-named venues
+   */
+  function findBestRanking(venueName, preferredType = null) {
+    return findRanking(venueName, preferredType) ||
+      findAcronymMatch(venueName, preferredType) ||
+      findFuzzyMatch(venueName, false, preferredType);
   }
 
   // ============================================
@@ -117,6 +916,12 @@
   // ============================================
 
   function getCitationCount(resultElement) {
+    // Profile rows have their own citation column
+    if (resultElement.matches(CONFIG.selectors.profileResultItem)) {
+      const link = resultElement.querySelector(`${CONFIG.selectors.profileCitationCell} a`);
+      return link ? parseInt(link.textContent.replace(/\D/g, ''), 10) || 0 : 0;
+    }
+
     const links = resultElement.querySelectorAll(CONFIG.selectors.citationLink);
     for (const link of links) {
       const text = link.textContent;
@@ -128,6 +933,32 @@
     return 0;
   }
 
+  function getPublicationYear(resultElement) {
+    if (resultYears.has(resultElement)) return resultYears.get(resultElement);
+
+    let year;
+    if (resultElement.matches(CONFIG.selectors.profileResultItem)) {
+      const yearElement = resultElement.querySelector(CONFIG.selectors.profileYearCell);
+      year = yearElement ? parseInt(yearElement.textContent, 10) || null : null;
+    } else {
+      const authorLine = resultElement.querySelector(CONFIG.selectors.authorLine);
+      year = authorLine ? extractYearFromAuthorLine(authorLine.textContent) : null;
+    }
+    resultYears.set(resultElement, year);
+    return year;
+  }
+
+  /**
+   * Citations normalised by paper age (the publication year counts as one full year)
+   * Returns null when the publication year is unknown
+   */
+  function getCitationsPerYear(resultElement) {
+    const year = getPublicationYear(resultElement);
+    if (!year) return null;
+    const age = Math.max(1, new Date().getFullYear() - year + 1);
+    return getCitationCount(resultElement) / age;
+  }
+
   // ============================================
   // Venue Extraction & Matching
   // ============================================
@@ -145,7 +976,7 @@
    * Find citation info URL for a result element
    * Returns a URL that can be fetched to get the citation popup with full venue name
    */
-  function findCiteInfo(resultElement) {
+  function findArticleId(resultElement) {
     // Try to get the article ID from the result element itself
     let articleId = resultElement.getAttribute('data-cid') || resultElement.getAttribute('data-aid');
 
@@ -179,12 +1010,18 @@
       }
     }
 
+    return articleId || null;
+  }
+
+  function findCiteInfo(resultElement) {
+    const articleId = findArticleId(resultElement);
+
     if (articleId) {
-      console.log('[Scholar Orderer] Found article ID:', articleId);
+      logDebug('Found article ID:', articleId);
       return `${window.location.origin}/scholar?q=info:${articleId}:scholar.google.com/&output=cite&scirp=0&hl=en`;
     }
 
-    console.log('[Scholar Orderer] Could not find article ID for result');
+    logDebug('Could not find article ID for result');
     return null;
   }
 
@@ -196,7 +1033,7 @@
 
     const debug = (msg) => {
       if (debugIndex !== null) {
-        console.log(`[Scholar Orderer] Result ${debugIndex} extraction: ${msg}`);
+        logDebug(`Result ${debugIndex} extraction: ${msg}`);
       }
     };
 
@@ -256,6 +1093,13 @@
         part = part.split('@ ').pop().trim();
       }
 
+      // Acronym plus year: "ICML 2023", "NeurIPS'23" — keep just the acronym
+      const acronym = extractAcronymWithYear(part);
+      if (acronym) {
+        debug(`  -> RETURNING acronym: "${acronym}"`);
+        return acronym;
+      }
+
       // Clean up the venue part
       // First remove leading ellipsis (truncated start)
       part = part.replace(/^…\s*/, '').trim();
@@ -343,92 +1187,74 @@
     return null;
   }
 
-  const rankingCache = new Map();
-
-  function findRanking(venueName) {
-    if (!rankingsData || !venueName) return null;
+  /**
+   * Extract the publication year from an author line
+   * "Author1, Author2 - Journal Name, 2023 - publisher.com" -> 2023
+   * Uses the last plausible year outside the author list and publisher URL parts
+   */
+  function extractYearFromAuthorLine(authorLineText) {
+    if (!authorLineText) return null;
 
-    if (rankingCache.has(venueName)) return rankingCache.get(venueName);
+    const parts = authorLineText.split(/\s+[-–—]\s+/);
+    const maxYear = new Date().getFullYear() + 1;
+    let year = null;
 
-    const normalized = normalizeString(venueName);
+    for (let i = 1; i < parts.length; i++) {
+      const part = parts[i].trim();
+      // Skip publisher URLs
+      if (/\.(com|org|edu|net|io|gov)\b|\.(ac|co)\./.test(part)) continue;
 
-    // Debug logging
-    console.log('[Scholar Orderer] Trying to match venue:', venueName, '-> normalized:', normalized);
-
-    // Check if detected venue matches target full name
-    // If exactMatch is true, require exact match only
-    // Supports bidirectional matching for truncated venue names
-    function isFullNameMatch(detected, target, exactMatch = false) {
-      if (!target) return false;
-      if (detected === target) return true;
-      if (exactMatch || target.length < 10) return false;  // Short or exact-match names require exact match only
-
-      // Standard check: detected contains target (detected is longer)
-      if (detected.includes(target)) return true;
-
-      // Reverse check for truncated venues: target contains detected
-      // Only allow this if detected is long enough (at least 25 chars) to avoid false positives
-      // e.g., "International Conference on Cyber-Physical" matches "International Conference on Cyber-Physical Systems"
-      if (detected.length >= 25 && target.includes(detected)) {
-        console.log('[Scholar Orderer] Partial match (truncated venue):', detected, '->', target);
-        return true;
-      }
-
-      return false;
-    }
-
-    // Check aliases first (these are usually full names that map to a canonical key)
-    if (rankingsData.aliases) {
-      for (const [alias, canonical] of Object.entries(rankingsData.aliases)) {
-        const aliasNorm = normalizeString(alias);
-        // Only match if alias is long enough (full name, not acronym)
-        // Respect exactMatch flag from the target entry
-        const targetData = rankingsData.conferences[canonical] || rankingsData.journals[canonical];
-        const exact = targetData ? targetData.exactMatch : false;
-        if (aliasNorm.length >= 10 && isFullNameMatch(normalized, aliasNorm, exact)) {
-          // Found alias, look up the canonical name
-          if (rankingsData.conferences[canonical]) {
-            console.log('[Scholar Orderer] Matched via alias:', alias, '->', canonical);
-            const result = { ...rankingsData.conferences[canonical], key: canonical, type: 'conference' };
-            rankingCache.set(venueName, result);
-            return result;
-          }
-          if (rankingsData.journals[canonical]) {
-            console.log('[Scholar Orderer] Matched via alias:', alias, '->', canonical);
-            const result = { ...rankingsData.journals[canonical], key: canonical, type: 'journal' };
-            rankingCache.set(venueName, result);
-            return result;
-          }
-        }
+      const matches = part.match(/\b(1[89]\d{2}|20\d{2})\b/g);
+      if (!matches) continue;
+      for (const match of matches) {
+        const candidate = parseInt(match, 10);
+        if (candidate <= maxYear) year = candidate;
       }
     }
 
-    // Match conferences by full name only (no acronym matching)
-    for (const [key, data] of Object.entries(rankingsData.conferences)) {
-      const fullNameNorm = normalizeString(data.fullName || '');
+    return year;
+  }
 
-      if (fullNameNorm && isFullNameMatch(normalized, fullNameNorm, data.exactMatch)) {
-        console.log('[Scholar Orderer] Matched conference by full name:', key);
-        const result = { ...data, key, type: 'conference' };
-        rankingCache.set(venueName, result);
-        return result;
-      }
+  const rankingCache = new Map();
+
+  // Matchers that found the venue by its full name or a curated alias (no guessing involved)
+  const EXACT_MATCHERS = new Set(['alias', 'conference-name', 'journal-name']);
+
+  function findRanking(venueName, preferredType = null) {
+    if (!rankingsData || !venueName) return null;
+
+    const cacheKey = preferredType ? `${preferredType}:${venueName}` : venueName;
+    if (rankingCache.has(cacheKey)) return rankingCache.get(cacheKey);
+
+    // The user's own aliases, venues and suppressions win over the bundled data
+    const override = findOverride(venueName);
+    if (override !== undefined) {
+      logDebug('Venue override:', venueName, '->', override ? override.key : 'suppressed');
+      rankingCache.set(cacheKey, override);
+      return override;
     }
 
-    // Match journals by full name only (no acronym matching)
-    for (const [key, data] of Object.entries(rankingsData.journals)) {
-      const fullNameNorm = normalizeString(data.fullName || '');
+    const normalized = normalizeString(venueName);
+
+    logDebug('Trying to match venue:', venueName, '-> normalized:', normalized);
 
-      if (fullNameNorm && isFullNameMatch(normalized, fullNameNorm, data.exactMatch)) {
-        console.log('[Scholar Orderer] Matched journal by full name:', key);
-        const result = { ...data, key, type: 'journal' };
-        rankingCache.set(venueName, result);
-        return result;
+    // Aliases are checked first (these are usually full names that map to a canonical key),
+    // then conferences and journals by full name only (no acronym matching)
+    const entry = findIndexedMatch(normalized, preferredType);
+
+    if (entry) {
+      if (entry.matcher === 'alias') {
+        logDebug('Matched via alias:', entry.name, '->', entry.key);
+      } else {
+        logDebug(`Matched ${entry.type} by full name:`, entry.key);
       }
+      const result = { ...entry.data, key: entry.key, type: entry.type, matcher: entry.matcher };
+      rankingCache.set(cacheKey, result);
+      return result;
     }
 
-    console.log('[Scholar Orderer] No match found for:', venueName);
-    rankingCache.set(venueName, null);
+    logDebug('No match found for:', venueName);
+    rankingCache.set(cacheKey, null);
     return null;
   }
 
@@ -437,57 +1263,32 @@
    * Used to determine if a truncated venue has a unique match or multiple possibilities
    */
   function findPrefixMatches(truncatedVenue) {
-    if (!rankingsData || !truncatedVenue) return [];
+    if (!rankingsData || !truncatedVenue || !venueIndex || isVenueSuppressed(truncatedVenue)) return [];
 
     const normalized = normalizeString(truncatedVenue);
     // Need sufficient length for reliable prefix matching
     if (normalized.length < 15) {
-      console.log('[Scholar Orderer] Prefix match skipped - venue too short:', normalized.length);
+      logDebug('Prefix match skipped - venue too short:', normalized.length);
       return [];
     }
 
+    // Conferences, then journals, then aliases - the order the names were added to the trie
+    const items = collectTriePrefix(venueIndex.trie, normalized).sort((a, b) => a.ordinal - b.ordinal);
+
     const matches = [];
     const seenKeys = new Set();
 
-    // Check conferences
-    for (const [key, data] of Object.entries(rankingsData.conferences)) {
-      const fullNameNorm = normalizeString(data.fullName || '');
-      if (fullNameNorm.length >= normalized.length && fullNameNorm.startsWith(normalized)) {
-        if (!seenKeys.has(key)) {
-          seenKeys.add(key);
-          matches.push({ key, ...data, type: 'conference' });
-        }
-      }
-    }
-
-    // Check journals
-    for (const [key, data] of Object.entries(rankingsData.journals)) {
-      const fullNameNorm = normalizeString(data.fullName || '');
-      if (fullNameNorm.length >= normalized.length && fullNameNorm.startsWith(normalized)) {
-        if (!seenKeys.has(key)) {
-          seenKeys.add(key);
-          matches.push({ key, ...data, type: 'journal' });
-        }
-      }
-    }
-
-    // Check aliases
-    if (rankingsData.aliases) {
-      for (const [alias, canonical] of Object.entries(rankingsData.aliases)) {
-        const aliasNorm = normalizeString(alias);
-        if (aliasNorm.length >= normalized.length && aliasNorm.startsWith(normalized)) {
-          if (!seenKeys.has(canonical)) {
-            const data = rankingsData.conferences[canonical] || rankingsData.journals[canonical];
-            if (data) {
-              seenKeys.add(canonical);
-              matches.push({ key: canonical, ...data });
-            }
-          }
-        }
+    items.forEach(item => {
+      if (seenKeys.has(item.key)) return;
+      seenKeys.add(item.key);
+      if (item.type) {
+        matches.push({ key: item.key, ...item.data, type: item.type, matcher: 'prefix' });
+      } else {
+        matches.push({ key: item.key, ...item.data, matcher: 'prefix' });
       }
-    }
+    });
 
-    console.log('[Scholar Orderer] Prefix matches for "' + truncatedVenue + '":', matches.length, matches.map(m => m.key));
+    logDebug('Prefix matches for "' + truncatedVenue + '":', matches.length, matches.map(m => m.key));
     return matches;
   }
 
@@ -504,10 +1305,17 @@
     return badge;
   }
 
-  function createBadgeContainer(ranking) {
+  function createBadgeContainer(ranking, result = null) {
     const container = document.createElement('span');
     container.className = 'gs-orderer-badge-container';
 
+    // Low-confidence fuzzy matches get a distinct "probable" marker
+    const probable = isProbableMatch(ranking);
+    if (probable) {
+      container.classList.add('gs-orderer-probable');
+      container.appendChild(createBadgeElement('≈ probable', '#ffffff', '#b06000', 'gs-orderer-badge-probable'));
+    }
+
     // Create CORE badge (always present for ranked venues)
     if (ranking.core) {
       const coreConfig = CONFIG.coreBadges[ranking.core];
@@ -594,56 +1402,416 @@
     const tooltip = document.createElement('span');
     tooltip.className = 'gs-orderer-tooltip';
 
-    let tooltipContent = `<strong>${ranking.fullName || ranking.key}</strong><br>`;
+    let tooltipContent = `<strong>${escapeHtml(ranking.fullName || ranking.key)}</strong><br>`;
     tooltipContent += `<em>${ranking.type === 'conference' ? 'Conference' : 'Journal'}</em><br><br>`;
 
+    if (ranking.matcher === 'fuzzy') {
+      tooltipContent += '<div class="gs-orderer-tooltip-match">';
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">${probable ? 'Probable match' : 'Fuzzy match'}:</span> <span class="gs-orderer-tooltip-value">${(ranking.confidence * 100).toFixed(0)}%</span></div>`;
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">Detected:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(ranking.detectedName)}</span></div>`;
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">Candidate:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(ranking.matchedName)}</span></div>`;
+      tooltipContent += '</div>';
+    }
+
     // Rankings section
     tooltipContent += '<div class="gs-orderer-tooltip-rankings">';
 
     if (ranking.core) {
-      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">CORE:</span> <span class="gs-orderer-tooltip-value">${ranking.core}</span></div>`;
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">CORE:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(ranking.core)}</span></div>`;
     }
 
     if (ranking.sjr) {
-      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">SJR:</span> <span class="gs-orderer-tooltip-value">${ranking.sjr}</span></div>`;
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">SJR:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(ranking.sjr)}</span></div>`;
     }
 
     if (ranking.jcr) {
-      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">JCR:</span> <span class="gs-orderer-tooltip-value">${ranking.jcr}</span></div>`;
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">JCR:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(ranking.jcr)}</span></div>`;
     }
 
     if (ranking.era) {
-      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">ERA:</span> <span class="gs-orderer-tooltip-value">${ranking.era}</span></div>`;
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">ERA:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(ranking.era)}</span></div>`;
     }
 
     if (ranking.qualis) {
-      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">QUALIS:</span> <span class="gs-orderer-tooltip-value">${ranking.qualis}</span></div>`;
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">QUALIS:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(ranking.qualis)}</span></div>`;
     }
 
     if (ranking.if) {
-      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">Impact Factor:</span> <span class="gs-orderer-tooltip-value">${ranking.if}</span></div>`;
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">Impact Factor:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(ranking.if)}</span></div>`;
     }
 
     if (ranking.h5) {
-      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">h5-index:</span> <span class="gs-orderer-tooltip-value">${ranking.h5}</span></div>`;
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">h5-index:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(ranking.h5)}</span></div>`;
     }
 
     tooltipContent += '</div>';
 
+    tooltipContent += '<div class="gs-orderer-tooltip-hint">Right-click to correct this match</div>';
+
+    // Quality score breakdown (search results only, refreshed when weights change)
+    if (result) {
+      tooltipContent += `<div class="gs-orderer-tooltip-score">${renderQualityScoreRows(getQualityScore(result))}</div>`;
+    }
+
     tooltip.innerHTML = tooltipContent;
     container.appendChild(tooltip);
 
     return container;
   }
 
+  // ============================================
+  // Venue Warning Flags (Predatory / Discontinued / Retracted)
+  // ============================================
+
+  // Data file and user "flags" entries indexed by venue key and by normalized venue name
+  let venueFlags = { byKey: new Map(), byName: new Map() };
+
+  /**
+   * Index the data file's flag list plus the user's imported flags; each entry names a dataset
+   * venue ("key") and/or a venue name ("name"), with "type", "reason" and "source"
+   */
+  function buildFlagIndex() {
+    venueFlags = { byKey: new Map(), byName: new Map() };
+    const flags = [...((rankingsData && rankingsData.flags) || []), ...(venueOverrides.flags || [])];
+    flags.forEach(flag => {
+      if (flag.key) addToIndexList(venueFlags.byKey, flag.key, flag);
+      const name = normalizeString(flag.name || '');
+      if (name) addToIndexList(venueFlags.byName, name, flag);
+    });
+    logInfo('Loaded', flags.length, 'venue flags');
+  }
+
+  /**
+   * Flags for a venue, by the detected venue name and, when the venue was matched by its full
+   * name, an alias or a user override, by the matched dataset key and full name
+   * An acronym or fuzzy match may be a different venue, so it never carries that venue's flags
+   */
+  function getVenueFlags(venueName, ranking = null) {
+    const flags = new Set();
+    const addAll = (list) => (list || []).forEach(flag => flags.add(flag));
+    if (ranking && (EXACT_MATCHERS.has(ranking.matcher) || ranking.matcher === 'override')) {
+      addAll(venueFlags.byKey.get(ranking.key));
+      if (ranking.fullName) addAll(venueFlags.byName.get(normalizeString(ranking.fullName)));
+    }
+    if (venueName) addAll(venueFlags.byName.get(normalizeString(venueName)));
+    return [...flags];
+  }
+
+  function getResultFlags(row) {
+    return getVenueFlags(getDetectedVenueName(row), resultRankings.get(row));
+  }
+
+  function createFlagBadge(flags) {
+    const container = document.createElement('span');
+    container.className = 'gs-orderer-flag';
+
+    const labels = [...new Set(flags.map(flag => CONFIG.flagLabels[flag.type] || 'Flagged'))];
+    container.appendChild(createBadgeElement(`⚠ ${labels.join(' / ')}`, '#c5221f', '#ffffff', 'gs-orderer-badge-flag'));
+
+    const tooltip = document.createElement('span');
+    tooltip.className = 'gs-orderer-tooltip';
+    let tooltipContent = '<strong>Venue warning</strong>';
+    flags.forEach(flag => {
+      tooltipContent += '<div class="gs-orderer-tooltip-flag">';
+      tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">${escapeHtml(CONFIG.flagLabels[flag.type] || 'Flagged')}:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(flag.reason || 'No reason given')}</span></div>`;
+      if (flag.source) {
+        tooltipContent += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">Source:</span> <span class="gs-orderer-tooltip-value">${escapeHtml(flag.source)}</span></div>`;
+      }
+      tooltipContent += '</div>';
+    });
+    tooltip.innerHTML = tooltipContent;
+    container.appendChild(tooltip);
+
+    return container;
+  }
+
+  /**
+   * Line of a search result, profile row or Scholar Metrics row that carries the venue
+   */
+  function getVenueLine(row) {
+    if (row.matches(CONFIG.selectors.profileResultItem)) {
+      const grayLines = row.querySelectorAll(CONFIG.selectors.profileVenueLine);
+      return grayLines.length >= 2 ? grayLines[1] : grayLines[0] || null;
+    }
+    if (row.matches(CONFIG.selectors.metricsRow)) return row.querySelector(CONFIG.selectors.metricsVenueCell);
+    return row.querySelector(CONFIG.selectors.authorLine);
+  }
+
+  /**
+   * Put a warning badge in front of the ranking badges (or lookup button) of every flagged venue
+   */
+  function injectFlagBadges(rows) {
+    rows.forEach(row => {
+      if (row.querySelector('.gs-orderer-flag')) return;
+      const flags = getResultFlags(row);
+      if (flags.length === 0) return;
+
+      const line = getVenueLine(row);
+      if (!line) return;
+      const badges = line.querySelector('.gs-orderer-badge-container, .gs-orderer-fetch-btn, .gs-orderer-not-ranked');
+      line.insertBefore(createFlagBadge(flags), badges);
+    });
+  }
+
+  // ============================================
+  // Persistent Cache for Citation Lookups
+  // ============================================
+
+  // Article ID -> { venueName, venueType, resolvedAt } resolved through the citation popup
+  // Kept in chrome.storage.local rather than IndexedDB, which would live in (and be cleared with) the Scholar origin
+  const venueLookups = new Map();
+
+  /**
+   * Load unexpired lookups into memory (so injectBadges can stay synchronous) and drop expired ones
+   */
+  async function loadVenueLookupCache() {
+    try {
+      const storageKey = CONFIG.lookupCache.storageKey;
+      const stored = await chrome.storage.local.get(storageKey);
+      const maxAge = CONFIG.lookupCache.maxAgeDays * 24 * 60 * 60 * 1000;
+      const now = Date.now();
+
+      let expired = 0;
+      Object.entries(stored[storageKey] || {}).forEach(([articleId, entry]) => {
+        if (now - entry.resolvedAt > maxAge) {
+          expired++;
+        } else {
+          venueLookups.set(articleId, entry);
+        }
+      });
+      if (expired > 0) saveVenueLookupCache();
+      logInfo('Loaded', venueLookups.size, 'cached citation lookups,', expired, 'expired');
+    } catch (error) {
+      logWarn('Citation lookup cache unavailable:', error);
+    }
+  }
+
+  function saveVenueLookupCache() {
+    chrome.storage.local.set({ [CONFIG.lookupCache.storageKey]: Object.fromEntries(venueLookups) }).catch(error => {
+      logWarn('Failed to cache citation lookup:', error);
+    });
+  }
+
+  function storeVenueLookup(articleId, venueName, venueType = null) {
+    if (!articleId) return;
+    venueLookups.set(articleId, { venueName, venueType, resolvedAt: Date.now() });
+    saveVenueLookupCache();
+  }
+
+  function getCachedVenueLookup(result) {
+    const articleId = findArticleId(result);
+    return articleId ? venueLookups.get(articleId) || null : null;
+  }
+
+  // ============================================
+  // Structured Citation Parsing (BibTeX / RIS / EndNote)
+  // ============================================
+
+  // Entry types whose venue is a conference or a journal
+  const CONFERENCE_ENTRY_TYPES = new Set(['inproceedings', 'conference', 'proceedings']);
+  const JOURNAL_ENTRY_TYPES = new Set(['article']);
+  // Books, theses and reports: the publisher, school or institution is not a venue
+  const NON_VENUE_ENTRY_TYPES = new Set(['book', 'booklet', 'phdthesis', 'mastersthesis', 'thesis', 'techreport', 'report']);
+
+  const RIS_ENTRY_TYPES = {
+    JOUR: 'article',
+    JFULL: 'article',
+    CONF: 'inproceedings',
+    CPAPER: 'inproceedings',
+    BOOK: 'book',
+    CHAP: 'incollection',
+    THES: 'phdthesis',
+    RPRT: 'techreport'
+  };
+
+  const ENDNOTE_ENTRY_TYPES = {
+    'journal article': 'article',
+    'conference proceedings': 'inproceedings',
+    'conference paper': 'inproceedings',
+    'book': 'book',
+    'book section': 'incollection',
+    'thesis': 'phdthesis',
+    'report': 'techreport'
+  };
+
+  function cleanBibTeXValue(value) {
+    return value
+      .replace(/\\([&%$#_{}])/g, '$1')
+      .replace(/[{}]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Parse the first entry of a BibTeX export into { entryType, fields }
+   * Values may be {braced} (with nesting), "quoted" or bare
+   */
+  function parseBibTeX(text) {
+    const header = text.match(/@(\w+)\s*\{\s*[^,]*,/);
+    if (!header) return null;
+
+    const fields = {};
+    const fieldPattern = /\s*(\w+)\s*=\s*/y;
+    const barePattern = /[^,}\s]*/y;
+    let i = header.index + header[0].length;
+
+    while (i < text.length) {
+      fieldPattern.lastIndex = i;
+      const field = fieldPattern.exec(text);
+      if (!field) break;
+      i = fieldPattern.lastIndex;
+
+      let value;
+      if (text[i] === '{') {
+        let depth = 0;
+        let end = i;
+        for (; end < text.length; end++) {
+          if (text[end] === '{') depth++;
+          else if (text[end] === '}' && --depth === 0) break;
+        }
+        value = text.slice(i + 1, end);
+        i = end + 1;
+      } else if (text[i] === '"') {
+        const end = text.indexOf('"', i + 1);
+        value = text.slice(i + 1, end === -1 ? text.length : end);
+        i = end === -1 ? text.length : end + 1;
+      } else {
+        barePattern.lastIndex = i;
+        value = barePattern.exec(text)[0];
+        i = barePattern.lastIndex;
+      }
+
+      fields[field[1].toLowerCase()] = cleanBibTeXValue(value);
+      while (i < text.length && /[\s,]/.test(text[i])) i++;
+    }
+
+    return { entryType: header[1].toLowerCase(), fields };
+  }
+
+  /**
+   * Parse an RIS export ("TY  - JOUR" lines); the first value of each tag wins
+   */
+  function parseRIS(text) {
+    const tags = {};
+    text.split(/\r?\n/).forEach(line => {
+      const match = line.match(/^([A-Z][A-Z0-9])\s{2}-\s?(.*)$/);
+      if (match && !tags[match[1]]) tags[match[1]] = match[2].trim();
+    });
+    if (!tags.TY) return null;
+
+    return {
+      entryType: RIS_ENTRY_TYPES[tags.TY] || 'misc',
+      fields: {
+        journal: tags.JO || tags.JF || tags.JA,
+        booktitle: tags.T2 || tags.BT,
+        publisher: tags.PB,
+        year: tags.PY || tags.Y1
+      }
+    };
+  }
+
+  /**
+   * Parse an EndNote (.enw) export ("%0 Journal Article" lines)
+   */
+  function parseEndNote(text) {
+    const tags = {};
+    text.split(/\r?\n/).forEach(line => {
+      const match = line.match(/^%(\S)\s+(.*)$/);
+      if (match && !tags[match[1]]) tags[match[1]] = match[2].trim();
+    });
+    if (!tags['0']) return null;
+
+    return {
+      entryType: ENDNOTE_ENTRY_TYPES[tags['0'].toLowerCase()] || 'misc',
+      fields: {
+        journal: tags.J,
+        booktitle: tags.B,
+        publisher: tags.I,
+        year: tags.D
+      }
+    };
+  }
+
+  // Export links in the cite popup, in the order they are tried
+  const CITATION_FORMATS = [
+    { label: /bibtex/i, parse: parseBibTeX },
+    { label: /refman|ris/i, parse: parseRIS },
+    { label: /endnote/i, parse: parseEndNote }
+  ];
+
+  /**
+   * Venue name, venue type ('conference' / 'journal' / null) and year of a parsed citation
+   * Returns null for books, theses and reports
+   */
+  function getCitationVenue(citation) {
+    const { entryType, fields } = citation;
+    if (NON_VENUE_ENTRY_TYPES.has(entryType)) return null;
+
+    let venueType = null;
+    let venueName = null;
+
+    if (JOURNAL_ENTRY_TYPES.has(entryType)) {
+      venueType = 'journal';
+      venueName = fields.journal || fields.booktitle;
+    } else if (CONFERENCE_ENTRY_TYPES.has(entryType)) {
+      venueType = 'conference';
+      venueName = fields.booktitle || fields.journal;
+    } else {
+      venueName = fields.journal || fields.booktitle;
+    }
+
+    const yearMatch = (fields.year || '').match(/\b(19|20)\d{2}\b/);
+    return {
+      venueName: venueName || null,
+      venueType,
+      entryType,
+      year: yearMatch ? parseInt(yearMatch[0], 10) : null
+    };
+  }
+
+  /**
+   * Follow the cite popup's export links (fetched by the background worker, since they live on
+   * scholar.googleusercontent.com) until one parses, waiting the lookup interval before each request
+   * Returns the citation venue, { nonVenue, entryType } for books, theses and reports,
+   * { blocked, url } when Scholar refuses, or null when no export parses
+   */
+  async function fetchStructuredCitation(citeDoc) {
+    const links = [...citeDoc.querySelectorAll('#gs_citi a')];
+
+    for (const format of CITATION_FORMATS) {
+      const link = links.find(a => format.label.test(a.textContent));
+      if (!link) continue;
+
+      const url = new URL(link.getAttribute('href'), window.location.origin).href;
+      await wait(getLookupInterval());
+      logDebug('Fetching citation export:', url);
+      const response = await chrome.runtime.sendMessage({ type: 'fetchCitationExport', url });
+
+      if (!response || response.error) {
+        logWarn('Citation export failed:', response ? response.error : 'no response');
+        continue;
+      }
+      if (isBlockedResponse(response, response.text)) {
+        return { blocked: true, url: response.url };
+      }
+      if (!response.ok) continue;
+
+      const citation = format.parse(response.text);
+      if (!citation) continue;
+
+      // The first export that parses settles it; the other formats carry the same fields
+      return getCitationVenue(citation) || { nonVenue: true, entryType: citation.entryType };
+    }
+
+    return null;
+  }
+
   // ============================================
   // Lazy Fetch Button for Unmatched Venues
   // ============================================
 
-  let lastFetchTime = 0;
-  const FETCH_COOLDOWN = 1000; // 1 second between fetches
 
-  function createFetchButton(result, authorLine, index) {
+  function createFetchButton(result, authorLine, index, candidates = null, venueName = null) {
     const button = document.createElement('button');
     button.className = 'gs-orderer-fetch-btn';
     button.innerHTML = '?';
@@ -661,121 +1829,906 @@
       vertical-align: middle;
     `;
 
-    button.addEventListener('click', async (e) => {
+    if (candidates && candidates.length > 1) {
+      button.title = `${candidates.length} possible venues - click to choose`;
+    }
+
+    button.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      await handleFetchClick(button, result, authorLine, index);
+      if (candidates && candidates.length > 1) {
+        toggleVenuePicker(button, result, authorLine, index, candidates, venueName);
+        return;
+      }
+      queueLookup(button, result, authorLine, index);
     });
 
     return button;
   }
 
-  async function handleFetchClick(button, result, authorLine, index) {
-    // Rate limiting
-    const now = Date.now();
-    if (now - lastFetchTime < FETCH_COOLDOWN) {
-      button.title = 'Please wait before clicking again';
-      return;
+  // ============================================
+  // Citation Lookup Queue
+  // ============================================
+
+  // Pending "?" lookups, fetched one at a time with settings.lookupIntervalSeconds between requests
+  const lookupQueue = [];
+  let lookupQueueRunning = false;
+  // Bumped by cancelLookupQueue, so a lookup finishing after a cancel does not touch the new queue
+  let lookupQueueGeneration = 0;
+  // CAPTCHA / HTTP 429 responses since the last successful lookup; each one doubles the cooldown
+  let lookupBackoff = 0;
+  // Lookups stay paused until this time (ms) after Scholar blocks us; shared across tabs via chrome.storage.local
+  let lookupPausedUntil = 0;
+  let lookupResumeTimer = null;
+  // Progress of the current "Resolve all" batch, null when no batch is running
+  let batchProgress = null;
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function getLookupInterval() {
+    return Math.max(CONFIG.lookupQueue.minIntervalSeconds, settings.lookupIntervalSeconds) * 1000;
+  }
+
+  /**
+   * Scholar answers with HTTP 429 or an "unusual traffic" CAPTCHA page when it thinks it is being scraped
+   */
+  function isBlockedResponse(response, html = '') {
+    if (response.status === 429) return true;
+    if (/\/sorry\//.test(response.url)) return true;
+    return /id="gs_captcha|g-recaptcha|unusual traffic/i.test(html);
+  }
+
+  function isLookupPaused() {
+    return Date.now() < lookupPausedUntil;
+  }
+
+  function formatPauseEnd() {
+    return new Date(lookupPausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  async function loadLookupPause() {
+    try {
+      const stored = await chrome.storage.local.get('lookupPausedUntil');
+      lookupPausedUntil = stored.lookupPausedUntil || 0;
+    } catch (error) {
+      logError('Failed to load lookup pause:', error);
+    }
+    if (isLookupPaused()) {
+      showBlockedBanner();
+      scheduleLookupResume();
+    }
+  }
+
+  function saveLookupPause() {
+    chrome.storage.local.set({ lookupPausedUntil }).catch(error => {
+      logError('Failed to save lookup pause:', error);
+    });
+  }
+
+  function scheduleLookupResume() {
+    clearTimeout(lookupResumeTimer);
+    if (!isLookupPaused()) return;
+    lookupResumeTimer = setTimeout(() => {
+      hideBlockedBanner();
+      runLookupQueue();
+    }, lookupPausedUntil - Date.now());
+  }
+
+  /**
+   * Stop all lookups for a cooldown after Scholar served a CAPTCHA or 429
+   * Retrying straight away is what gets users soft-banned, so nothing is sent until the cooldown ends
+   */
+  function pauseLookups(blockedUrl = null) {
+    lookupBackoff++;
+    const minutes = CONFIG.lookupQueue.cooldownMinutes * Math.pow(2, lookupBackoff - 1);
+    lookupPausedUntil = Date.now() + minutes * 60 * 1000;
+    logWarn('Scholar blocked a lookup, pausing lookups for', minutes, 'minutes');
+
+    saveLookupPause();
+    showBlockedBanner(blockedUrl);
+    scheduleLookupResume();
+  }
+
+  function resumeLookups() {
+    lookupPausedUntil = 0;
+    saveLookupPause();
+    clearTimeout(lookupResumeTimer);
+    hideBlockedBanner();
+    runLookupQueue();
+  }
+
+  function showBlockedBanner(blockedUrl = null) {
+    let banner = document.querySelector('#gs-orderer-blocked-banner');
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'gs-orderer-blocked-banner';
+      banner.setAttribute('role', 'alert');
+      document.body.appendChild(banner);
     }
-    lastFetchTime = now;
 
-    // Show loading state
-    const originalContent = button.innerHTML;
+    const solveUrl = blockedUrl || `${window.location.origin}/scholar?q=captcha`;
+    banner.innerHTML = `
+      <span class="gs-orderer-blocked-text">
+        <strong>Google Scholar is asking for a CAPTCHA.</strong>
+        Venue lookups are paused until ${formatPauseEnd()} to avoid a longer ban.
+        Solve the CAPTCHA in a new tab, then resume.
+      </span>
+      <a class="gs-orderer-blocked-solve" href="${escapeHtml(solveUrl)}" target="_blank" rel="noopener">Open CAPTCHA</a>
+      <button type="button" class="gs-orderer-blocked-resume">Resume now</button>
+      <button type="button" class="gs-orderer-blocked-close" title="Hide (lookups stay paused)">×</button>
+    `;
+    banner.querySelector('.gs-orderer-blocked-resume').addEventListener('click', resumeLookups);
+    banner.querySelector('.gs-orderer-blocked-close').addEventListener('click', hideBlockedBanner);
+
+    updateBatchProgress(`Paused until ${formatPauseEnd()} (CAPTCHA)`);
+  }
+
+  function hideBlockedBanner() {
+    const banner = document.querySelector('#gs-orderer-blocked-banner');
+    if (banner) banner.remove();
+  }
+
+  function setButtonQueued(button) {
     button.innerHTML = '⏳';
+    button.title = isLookupPaused()
+      ? `Queued - lookups paused until ${formatPauseEnd()} (Scholar CAPTCHA)`
+      : 'Queued - waiting for earlier lookups';
     button.disabled = true;
     button.style.cursor = 'wait';
+  }
 
-    try {
-      // Use findCiteInfo to get the citation URL (extracts article ID properly)
-      const citeUrl = findCiteInfo(result);
+  function resetFetchButton(button, title = 'Click to lookup venue ranking') {
+    button.innerHTML = '?';
+    button.title = title;
+    button.disabled = false;
+    button.style.cursor = 'pointer';
+  }
 
-      if (!citeUrl) {
-        button.innerHTML = '✗';
-        button.title = 'Could not find article citation link';
-        button.disabled = false;
-        button.style.cursor = 'pointer';
-        return;
-      }
+  function queueLookup(button, result, authorLine, index) {
+    if (lookupQueue.some(task => task.button === button)) return;
+    setButtonQueued(button);
+    lookupQueue.push({ button, result, authorLine, index });
+    runLookupQueue();
+  }
 
-      console.log('[Scholar Orderer] Fetching citation:', citeUrl);
+  async function runLookupQueue() {
+    if (lookupQueueRunning) return;
+    lookupQueueRunning = true;
+    let cancelledMidFetch = false;
 
-      // Fetch citation popup
-      const response = await fetch(citeUrl, { credentials: 'include' });
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
+    while (lookupQueue.length > 0) {
+      // Leave the queue intact while paused; scheduleLookupResume restarts it
+      if (isLookupPaused()) {
+        lookupQueue.forEach(task => setButtonQueued(task.button));
+        break;
       }
-      const html = await response.text();
 
-      // Parse MLA citation for venue (in italics)
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-      const italics = doc.querySelectorAll('#gs_citt i');
+      const task = lookupQueue[0];
+      if (!task.button.isConnected) {
+        lookupQueue.shift();
+        continue;
+      }
+
+      const generation = lookupQueueGeneration;
+      const outcome = await handleFetchClick(task.button, task.result, task.authorLine, task.index);
+      if (generation !== lookupQueueGeneration) {
+        cancelledMidFetch = true;
+        break;
+      }
 
-      let venueName = null;
-      for (const italic of italics) {
-        const text = italic.textContent.trim();
-        if (text.length > 3) {
-          venueName = text;
+      if (outcome === 'blocked') {
+        if (lookupBackoff >= CONFIG.lookupQueue.maxCooldowns) {
+          logWarn('Scholar keeps blocking lookups, cancelling the queue');
+          cancelLookupQueue('Google Scholar keeps blocking requests - try again later');
           break;
         }
+        continue;
       }
 
-      if (!venueName) {
-        button.innerHTML = '✗';
-        button.title = 'Could not extract venue from citation';
-        button.disabled = false;
-        button.style.cursor = 'pointer';
-        return;
+      lookupBackoff = 0;
+      const taskIndex = lookupQueue.indexOf(task);
+      if (taskIndex !== -1) lookupQueue.splice(taskIndex, 1);
+      if (batchProgress) {
+        batchProgress.done++;
+        updateBatchProgress();
+      }
+      if (lookupQueue.length > 0) {
+        await wait(getLookupInterval());
       }
+    }
 
-      console.log('[Scholar Orderer] Result', index, ': Fetched venue:', venueName);
+    lookupQueueRunning = false;
+    if (cancelledMidFetch) {
+      // Lookups queued after the cancel waited for this loop to stop; run them after the usual interval
+      if (lookupQueue.length > 0) setTimeout(runLookupQueue, getLookupInterval());
+      return;
+    }
+    if (batchProgress && lookupQueue.length === 0) finishBatch();
+  }
 
-      // Try to find ranking
-      const ranking = findRanking(venueName);
+  function cancelLookupQueue(reason = null) {
+    lookupQueueGeneration++;
+    lookupQueue.splice(0).forEach(task => {
+      if (task.button.isConnected) resetFetchButton(task.button);
+    });
+    if (batchProgress) finishBatch(reason);
+  }
 
-      // Remove the button
-      button.remove();
+  // ============================================
+  // "Resolve all unmatched" Batch Lookup
+  // ============================================
 
-      if (ranking) {
-        // Add badge
-        const badgeContainer = createBadgeContainer(ranking);
-        authorLine.appendChild(badgeContainer);
-        console.log('[Scholar Orderer] Result', index, ': Found ranking via fetch:', ranking.key);
-      } else {
-        // Show "not ranked" indicator
-        const notRanked = document.createElement('span');
-        notRanked.className = 'gs-orderer-not-ranked';
-        notRanked.textContent = 'Not ranked';
-        notRanked.title = `Venue: ${venueName}`;
-        notRanked.style.cssText = `
-          margin-left: 6px;
-          padding: 2px 6px;
-          font-size: 10px;
-          background: #f1f3f4;
-          color: #5f6368;
-          border-radius: 4px;
-        `;
-        authorLine.appendChild(notRanked);
-        console.log('[Scholar Orderer] Result', index, ': Venue not in database:', venueName);
-      }
+  function updateBatchProgress(status = null) {
+    const button = document.querySelector('#gs-orderer-resolve-all');
+    const progress = document.querySelector('#gs-orderer-resolve-progress');
+    if (!button || !progress || !batchProgress) return;
 
-    } catch (error) {
-      console.error('[Scholar Orderer] Fetch error:', error);
-      button.innerHTML = '✗';
-      button.title = 'Network error - click to retry';
-      button.disabled = false;
-      button.style.cursor = 'pointer';
-    }
+    button.textContent = 'Cancel';
+    progress.textContent = status || `Resolving ${batchProgress.done}/${batchProgress.total}…`;
   }
 
-  function injectBadges() {
-    if (!rankingsData) {
-      console.log('[Scholar Orderer] Rankings data not loaded yet');
+  function finishBatch(message = null) {
+    const button = document.querySelector('#gs-orderer-resolve-all');
+    const progress = document.querySelector('#gs-orderer-resolve-progress');
+    const total = batchProgress ? batchProgress.total : 0;
+    const done = batchProgress ? batchProgress.done : 0;
+    batchProgress = null;
+
+    if (button) button.textContent = 'Resolve all unmatched';
+    if (progress) progress.textContent = message || `Resolved ${done}/${total}`;
+  }
+
+  function resolveAllUnmatched() {
+    if (batchProgress) {
+      cancelLookupQueue('Cancelled');
+      return;
+    }
+
+    const buttons = [...document.querySelectorAll(`${CONFIG.selectors.resultItem} .gs-orderer-fetch-btn`)]
+      .filter(button => !button.disabled);
+    if (buttons.length === 0) {
+      finishBatch('Nothing to resolve');
+      return;
+    }
+
+    batchProgress = { total: buttons.length, done: 0 };
+    updateBatchProgress();
+    buttons.forEach(button => {
+      const result = button.closest(CONFIG.selectors.resultItem);
+      const authorLine = result.querySelector(CONFIG.selectors.authorLine);
+      const index = originalOrder.indexOf(result);
+      queueLookup(button, result, authorLine, index);
+    });
+  }
+
+  function createResolveAllButton() {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'gs-orderer-resolve';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = 'gs-orderer-resolve-all';
+    button.textContent = 'Resolve all unmatched';
+    button.title = 'Look up the full venue name of every "?" result, one request at a time';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      resolveAllUnmatched();
+    });
+
+    const progress = document.createElement('span');
+    progress.id = 'gs-orderer-resolve-progress';
+
+    wrapper.appendChild(button);
+    wrapper.appendChild(progress);
+    return wrapper;
+  }
+
+  // ============================================
+  // User Venue Overrides
+  // ============================================
+
+  function emptyOverrides() {
+    return { aliases: {}, venues: {}, suppressed: {}, flags: [] };
+  }
+
+  async function loadVenueOverrides() {
+    try {
+      const stored = await chrome.storage.local.get('venueOverrides');
+      venueOverrides = { ...emptyOverrides(), ...(stored.venueOverrides || {}) };
+      buildFlagIndex();
+    } catch (error) {
+      logError('Failed to load venue overrides:', error);
+    }
+  }
+
+  function saveVenueOverrides() {
+    chrome.storage.local.set({ venueOverrides }).catch(error => {
+      logError('Failed to save venue overrides:', error);
+    });
+  }
+
+  /**
+   * Venue data for a key, from the user's own venues first, then the bundled dataset
+   */
+  function getVenueByKey(key, matcher = 'override') {
+    if (venueOverrides.venues[key]) {
+      const { type, ...data } = venueOverrides.venues[key];
+      return { ...data, key, type: type || 'journal', matcher };
+    }
+    if (!rankingsData) return null;
+    if (rankingsData.conferences[key]) return { ...rankingsData.conferences[key], key, type: 'conference', matcher };
+    if (rankingsData.journals[key]) return { ...rankingsData.journals[key], key, type: 'journal', matcher };
+    return null;
+  }
+
+  function isVenueSuppressed(venueName) {
+    return !!venueName && !!venueOverrides.suppressed[normalizeString(venueName)];
+  }
+
+  /**
+   * Override for a venue name: a ranking (user alias or user venue), null when suppressed,
+   * or undefined when the user has not overridden this name
+   */
+  function findOverride(venueName) {
+    const normalized = normalizeString(venueName);
+    if (venueOverrides.suppressed[normalized]) return null;
+
+    const key = venueOverrides.aliases[normalized];
+    if (key) {
+      const ranking = getVenueByKey(key);
+      if (ranking) return ranking;
+    }
+    return undefined;
+  }
+
+  /**
+   * Drop all cached matches and badges and annotate the page again
+   * Used after overrides change, since any earlier match may now be different
+   */
+  function refreshAnnotations() {
+    rankingCache.clear();
+    fuzzyCache.clear();
+    profilePublications = new WeakMap();
+    buildFlagIndex();
+
+    document.querySelectorAll('.gs-orderer-badge-container, .gs-orderer-fetch-btn, .gs-orderer-not-ranked, .gs-orderer-picker, .gs-orderer-h5-diff, .gs-orderer-flag')
+      .forEach(element => element.remove());
+    document.querySelectorAll('.gs-orderer-h5-differs').forEach(row => row.classList.remove('gs-orderer-h5-differs'));
+
+    if (document.querySelector(CONFIG.selectors.resultsContainer)) {
+      document.querySelectorAll(CONFIG.selectors.resultItem).forEach(result => resultRankings.delete(result));
+      injectBadges();
+      if (currentSort !== 'default') {
+        sortResults(currentSort);
+      }
+      applyFilters();
+      updateResultSummaries();
+    }
+    if (document.querySelector(CONFIG.selectors.metricsTable)) {
+      annotateMetricsPage();
+    }
+    if (document.querySelector(CONFIG.selectors.profileContainer)) {
+      injectBadgesOnProfilePage();
+      createRankingDistributionBar();
+      if (currentProfileSort !== 'default') {
+        sortProfileRows(currentProfileSort);
+      }
+    }
+  }
+
+  function updateVenueOverrides(change) {
+    change(venueOverrides);
+    saveVenueOverrides();
+    refreshAnnotations();
+  }
+
+  /**
+   * Venue name detected for a search result or profile row (used as the override key)
+   */
+  function getDetectedVenueName(row) {
+    if (resultVenues.has(row)) return resultVenues.get(row);
+    if (row.matches(CONFIG.selectors.profileResultItem)) return extractVenueNameFromProfileRow(row);
+    return null;
+  }
+
+  function createMenuField(labelText, input) {
+    const label = document.createElement('label');
+    label.className = 'gs-orderer-override-field';
+    const text = document.createElement('span');
+    text.textContent = labelText;
+    label.appendChild(text);
+    label.appendChild(input);
+    return label;
+  }
+
+  function createMenuSelect(options) {
+    const select = document.createElement('select');
+    options.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    return select;
+  }
+
+  function createMenuAction(text, onClick) {
+    const action = document.createElement('button');
+    action.type = 'button';
+    action.className = 'gs-orderer-picker-fetch';
+    action.textContent = text;
+    action.addEventListener('click', (e) => {
+      e.preventDefault();
+      onClick();
+    });
+    return action;
+  }
+
+  function showAliasForm(menu, venueName) {
+    menu.querySelectorAll('.gs-orderer-override-form').forEach(form => form.remove());
+
+    const form = document.createElement('form');
+    form.className = 'gs-orderer-override-form';
+
+    const keyInput = document.createElement('input');
+    keyInput.type = 'text';
+    keyInput.placeholder = 'e.g. ICML or TPAMI';
+    keyInput.required = true;
+    form.appendChild(createMenuField('Venue key', keyInput));
+
+    const error = document.createElement('div');
+    error.className = 'gs-orderer-override-error';
+    form.appendChild(error);
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Save alias';
+    form.appendChild(submit);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const key = keyInput.value.trim();
+      if (!getVenueByKey(key)) {
+        error.textContent = `No venue with key "${key}"`;
+        return;
+      }
+      closeVenuePickers();
+      updateVenueOverrides(overrides => {
+        const normalized = normalizeString(venueName);
+        overrides.aliases[normalized] = key;
+        delete overrides.suppressed[normalized];
+      });
+    });
+
+    menu.appendChild(form);
+    keyInput.focus();
+  }
+
+  function showNewVenueForm(menu, venueName) {
+    menu.querySelectorAll('.gs-orderer-override-form').forEach(form => form.remove());
+
+    const form = document.createElement('form');
+    form.className = 'gs-orderer-override-form';
+
+    const keyInput = document.createElement('input');
+    keyInput.type = 'text';
+    keyInput.placeholder = 'Acronym';
+    keyInput.required = true;
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = venueName;
+    nameInput.required = true;
+    const typeSelect = createMenuSelect([['conference', 'Conference'], ['journal', 'Journal']]);
+    const coreSelect = createMenuSelect([['', '-'], ...CONFIG.rankOrder.core.map(rank => [rank, rank])]);
+    const sjrSelect = createMenuSelect([['', '-'], ...CONFIG.rankOrder.sjr.map(rank => [rank, rank])]);
+    const jcrSelect = createMenuSelect([['', '-'], ...CONFIG.rankOrder.jcr.map(rank => [rank, rank])]);
+    const h5Input = document.createElement('input');
+    h5Input.type = 'number';
+    h5Input.min = '0';
+
+    form.appendChild(createMenuField('Key', keyInput));
+    form.appendChild(createMenuField('Full name', nameInput));
+    form.appendChild(createMenuField('Type', typeSelect));
+    form.appendChild(createMenuField('CORE', coreSelect));
+    form.appendChild(createMenuField('SJR', sjrSelect));
+    form.appendChild(createMenuField('JCR', jcrSelect));
+    form.appendChild(createMenuField('h5-index', h5Input));
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Save venue';
+    form.appendChild(submit);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const key = keyInput.value.trim();
+      const venue = { fullName: nameInput.value.trim(), type: typeSelect.value };
+      if (coreSelect.value) venue.core = coreSelect.value;
+      if (sjrSelect.value) venue.sjr = sjrSelect.value;
+      if (jcrSelect.value) venue.jcr = jcrSelect.value;
+      if (parseInt(h5Input.value, 10) > 0) venue.h5 = parseInt(h5Input.value, 10);
+
+      closeVenuePickers();
+      updateVenueOverrides(overrides => {
+        const normalized = normalizeString(venueName);
+        overrides.venues[key] = venue;
+        overrides.aliases[normalized] = key;
+        delete overrides.suppressed[normalized];
+      });
+    });
+
+    menu.appendChild(form);
+    keyInput.focus();
+  }
+
+  /**
+   * Right-click menu on a badge, "?" button or "Not ranked" marker to correct the match
+   */
+  function showOverrideMenu(anchor, venueName) {
+    closeVenuePickers();
+
+    const normalized = normalizeString(venueName);
+    const ranking = resultRankings.get(anchor.closest(CONFIG.selectors.resultItem)) ||
+      (anchor.closest('.gs-orderer-badge-container') ? findBestRanking(venueName) : null);
+    const hasOverride = !!(venueOverrides.aliases[normalized] || venueOverrides.suppressed[normalized]);
+
+    const menu = document.createElement('div');
+    menu.className = 'gs-orderer-picker gs-orderer-override-menu';
+    menu.addEventListener('click', (e) => e.stopPropagation());
+
+    const heading = document.createElement('div');
+    heading.className = 'gs-orderer-picker-heading';
+    heading.textContent = ranking ? `"${venueName}" → ${ranking.key}` : `"${venueName}"`;
+    menu.appendChild(heading);
+
+    menu.appendChild(createMenuAction('Map to an existing venue…', () => showAliasForm(menu, venueName)));
+    menu.appendChild(createMenuAction('Add as a new venue…', () => showNewVenueForm(menu, venueName)));
+    if (ranking) {
+      menu.appendChild(createMenuAction('Wrong match - show as unranked', () => {
+        closeVenuePickers();
+        updateVenueOverrides(overrides => {
+          overrides.suppressed[normalized] = ranking.key;
+          delete overrides.aliases[normalized];
+        });
+      }));
+    }
+    if (hasOverride) {
+      menu.appendChild(createMenuAction('Remove my override', () => {
+        closeVenuePickers();
+        updateVenueOverrides(overrides => {
+          const key = overrides.aliases[normalized];
+          delete overrides.aliases[normalized];
+          delete overrides.suppressed[normalized];
+          // Drop user venues nothing points to any more
+          if (key && !Object.values(overrides.aliases).includes(key)) {
+            delete overrides.venues[key];
+          }
+        });
+      }));
+    }
+
+    anchor.insertAdjacentElement('afterend', menu);
+    document.addEventListener('click', closeVenuePickers, { once: true });
+  }
+
+  function setupOverrideMenu() {
+    document.addEventListener('contextmenu', (e) => {
+      // Unranked profile rows have no badge, so their venue line is the anchor
+      const anchor = e.target.closest('.gs-orderer-badge-container, .gs-orderer-fetch-btn, .gs-orderer-not-ranked') ||
+        e.target.closest(`${CONFIG.selectors.profileResultItem} .gs_gray`);
+      if (!anchor) return;
+
+      const row = anchor.closest(`${CONFIG.selectors.resultItem}, ${CONFIG.selectors.profileResultItem}, ${CONFIG.selectors.metricsRow}`);
+      const venueName = row ? getDetectedVenueName(row) : null;
+      if (!venueName) return;
+
+      e.preventDefault();
+      showOverrideMenu(anchor, venueName);
+    });
+  }
+
+  // ============================================
+  // Disambiguation Picker for Ambiguous Truncated Venues
+  // ============================================
+
+  async function loadVenueChoices() {
+    try {
+      const stored = await chrome.storage.local.get('venueChoices');
+      venueChoices = stored.venueChoices || {};
+    } catch (error) {
+      logError('Failed to load venue choices:', error);
+    }
+  }
+
+  function rememberVenueChoice(venueName, key) {
+    venueChoices[normalizeString(venueName)] = key;
+    chrome.storage.local.set({ venueChoices }).catch(error => {
+      logError('Failed to save venue choice:', error);
+    });
+  }
+
+  /**
+   * Candidate previously picked for this truncated name, if it is still among the candidates
+   */
+  function findRememberedChoice(venueName, candidates) {
+    const key = venueChoices[normalizeString(venueName)];
+    if (!key) return null;
+    const chosen = candidates.find(candidate => candidate.key === key);
+    return chosen ? { ...chosen, matcher: 'remembered-choice' } : null;
+  }
+
+  function formatRankingSummary(ranking) {
+    const parts = [];
+    if (ranking.core) parts.push(`CORE ${ranking.core}`);
+    if (ranking.sjr) parts.push(`SJR ${ranking.sjr}`);
+    if (ranking.jcr) parts.push(`JCR ${ranking.jcr}`);
+    if (ranking.era) parts.push(`ERA ${ranking.era}`);
+    if (ranking.qualis) parts.push(`QU ${ranking.qualis}`);
+    if (ranking.h5) parts.push(`h5 ${ranking.h5}`);
+    return parts.length > 0 ? parts.join(' · ') : 'No rankings';
+  }
+
+  function closeVenuePickers() {
+    document.querySelectorAll('.gs-orderer-picker').forEach(picker => picker.remove());
+  }
+
+  /**
+   * Popover next to the "?" button listing every prefix candidate with its rankings,
+   * plus the "fetch full name" lookup. The chosen venue is remembered for this truncated name.
+   */
+  function toggleVenuePicker(button, result, authorLine, index, candidates, venueName) {
+    const existing = authorLine.querySelector('.gs-orderer-picker');
+    closeVenuePickers();
+    if (existing) return;
+
+    const picker = document.createElement('div');
+    picker.className = 'gs-orderer-picker';
+    picker.addEventListener('click', (e) => e.stopPropagation());
+
+    const heading = document.createElement('div');
+    heading.className = 'gs-orderer-picker-heading';
+    heading.textContent = `Which venue is "${venueName}…"?`;
+    picker.appendChild(heading);
+
+    candidates.forEach(candidate => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'gs-orderer-picker-option';
+
+      const name = document.createElement('span');
+      name.className = 'gs-orderer-picker-name';
+      name.textContent = candidate.fullName || candidate.key;
+
+      const summary = document.createElement('span');
+      summary.className = 'gs-orderer-picker-summary';
+      summary.textContent = formatRankingSummary(candidate);
+
+      option.appendChild(name);
+      option.appendChild(summary);
+      option.addEventListener('click', (e) => {
+        e.preventDefault();
+        rememberVenueChoice(venueName, candidate.key);
+        closeVenuePickers();
+        button.remove();
+
+        const ranking = { ...candidate, matcher: 'remembered-choice' };
+        resultRankings.set(result, ranking);
+        authorLine.appendChild(createBadgeContainer(ranking, result));
+        injectFlagBadges([result]);
+        traceMatch({ source: 'picker', index, authorLine: authorLine.textContent, venue: venueName, matcher: 'remembered-choice', key: candidate.key, outcome: 'badge' });
+        logDebug('Result', index, ': User picked venue:', candidate.key);
+        applyFilters();
+        updateResultSummaries();
+      });
+      picker.appendChild(option);
+    });
+
+    const fetchOption = document.createElement('button');
+    fetchOption.type = 'button';
+    fetchOption.className = 'gs-orderer-picker-fetch';
+    fetchOption.textContent = 'None of these - fetch full venue name';
+    fetchOption.addEventListener('click', (e) => {
+      e.preventDefault();
+      closeVenuePickers();
+      queueLookup(button, result, authorLine, index);
+    });
+    picker.appendChild(fetchOption);
+
+    button.insertAdjacentElement('afterend', picker);
+    document.addEventListener('click', closeVenuePickers, { once: true });
+  }
+
+  function createNotRankedMarker(venueName) {
+    const notRanked = document.createElement('span');
+    notRanked.className = 'gs-orderer-not-ranked';
+    notRanked.textContent = 'Not ranked';
+    notRanked.title = `Venue: ${venueName}`;
+    notRanked.style.cssText = `
+      margin-left: 6px;
+      padding: 2px 6px;
+      font-size: 10px;
+      background: #f1f3f4;
+      color: #5f6368;
+      border-radius: 4px;
+    `;
+    return notRanked;
+  }
+
+  /**
+   * Fetch the citation popup for one result and badge it with the full venue name
+   * Called from the lookup queue; returns 'resolved', 'failed' or 'blocked' (CAPTCHA / HTTP 429)
+   */
+  async function handleFetchClick(button, result, authorLine, index) {
+    // Show loading state
+    button.innerHTML = '⏳';
+    button.disabled = true;
+    button.style.cursor = 'wait';
+
+    try {
+      // Use findCiteInfo to get the citation URL (extracts article ID properly)
+      const citeUrl = findCiteInfo(result);
+
+      if (!citeUrl) {
+        button.innerHTML = '✗';
+        button.title = 'Could not find article citation link';
+        button.disabled = false;
+        button.style.cursor = 'pointer';
+        return 'failed';
+      }
+
+      logDebug('Fetching citation:', citeUrl);
+
+      // Fetch citation popup
+      const response = await fetch(citeUrl, { credentials: 'include' });
+      if (isBlockedResponse(response)) {
+        pauseLookups(response.url);
+        return 'blocked';
+      }
+      if (!response.ok) {
+        button.innerHTML = '✗';
+        button.title = `Google Scholar returned HTTP ${response.status} - click to retry`;
+        button.disabled = false;
+        button.style.cursor = 'pointer';
+        return 'failed';
+      }
+      const html = await response.text();
+      // A CAPTCHA interstitial comes back as 200, so check the body too
+      if (isBlockedResponse(response, html)) {
+        pauseLookups(response.url);
+        return 'blocked';
+      }
+
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(html, 'text/html');
+
+      // Prefer the structured exports (venue fields and entry type) over the rendered citation styles
+      const citation = await fetchStructuredCitation(doc);
+      if (citation && citation.blocked) {
+        pauseLookups(citation.url);
+        return 'blocked';
+      }
+      if (citation && citation.nonVenue) {
+        logDebug('Result', index, ': No venue for a', citation.entryType, 'entry');
+        traceMatch({ source: 'citation-fetch', index, authorLine: authorLine.textContent, venue: null, entryType: citation.entryType, matcher: 'none', key: null, outcome: 'not-ranked' });
+        button.remove();
+        resultRankings.set(result, null);
+        const marker = createNotRankedMarker(citation.entryType);
+        marker.title = 'Books, theses and reports have no ranked venue';
+        authorLine.appendChild(marker);
+        applyFilters();
+        updateResultSummaries();
+        return 'resolved';
+      }
+
+      let venueName = citation ? citation.venueName : null;
+      const venueType = citation ? citation.venueType : null;
+      if (citation && citation.year && !resultYears.get(result)) {
+        resultYears.set(result, citation.year);
+      }
+
+      // Fall back to the MLA citation, where the venue is in italics
+      if (!venueName) {
+        for (const italic of doc.querySelectorAll('#gs_citt i')) {
+          const text = italic.textContent.trim();
+          if (text.length > 3) {
+            venueName = text;
+            break;
+          }
+        }
+      }
+
+      if (!venueName) {
+        button.innerHTML = '✗';
+        button.title = 'Could not extract venue from citation';
+        button.disabled = false;
+        button.style.cursor = 'pointer';
+        return 'failed';
+      }
+
+      logDebug('Result', index, ': Fetched venue:', venueName, citation ? `(${citation.entryType})` : '(MLA)');
+      resultVenues.set(result, venueName);
+      storeVenueLookup(findArticleId(result), venueName, venueType);
+
+      // Try to find ranking
+      const ranking = findBestRanking(venueName, venueType);
+      traceMatch({
+        source: 'citation-fetch',
+        index,
+        authorLine: authorLine.textContent,
+        venue: venueName,
+        entryType: citation ? citation.entryType : null,
+        matcher: ranking ? ranking.matcher : 'none',
+        key: ranking ? ranking.key : null,
+        outcome: ranking ? 'badge' : 'not-ranked'
+      });
+
+      // Remove the button
+      button.remove();
+      resultRankings.set(result, ranking);
+
+      if (ranking) {
+        // Add badge
+        const badgeContainer = createBadgeContainer(ranking, result);
+        authorLine.appendChild(badgeContainer);
+        logDebug('Result', index, ': Found ranking via fetch:', ranking.key);
+      } else {
+        // Show "not ranked" indicator
+        authorLine.appendChild(createNotRankedMarker(venueName));
+        logDebug('Result', index, ': Venue not in database:', venueName);
+      }
+
+      injectFlagBadges([result]);
+      applyFilters();
+      updateResultSummaries();
+      return 'resolved';
+
+    } catch (error) {
+      logError('Fetch error:', error);
+      button.innerHTML = '✗';
+      button.title = 'Network error - click to retry';
+      button.disabled = false;
+      button.style.cursor = 'pointer';
+      return 'failed';
+    }
+  }
+
+  /**
+   * Badge a result from a venue name resolved by an earlier "?" lookup
+   * Returns true when the cache had an entry for the result's article
+   */
+  function applyCachedLookup(result, authorLine, authorLineText, index) {
+    const cached = getCachedVenueLookup(result);
+    if (!cached) return false;
+
+    const cachedVenue = cached.venueName;
+    const ranking = findBestRanking(cachedVenue, cached.venueType);
+    logDebug('Result', index, ': Cached lookup:', cachedVenue, '->', ranking ? ranking.key : 'not ranked');
+    resultVenues.set(result, cachedVenue);
+    resultRankings.set(result, ranking);
+    traceMatch({
+      source: 'search',
+      index,
+      authorLine: authorLineText,
+      venue: cachedVenue,
+      matcher: ranking ? ranking.matcher : 'none',
+      key: ranking ? ranking.key : null,
+      outcome: ranking ? 'badge' : 'not-ranked',
+      cached: true
+    });
+    authorLine.appendChild(ranking ? createBadgeContainer(ranking, result) : createNotRankedMarker(cachedVenue));
+    return true;
+  }
+
+  function injectBadges() {
+    if (!rankingsData) {
+      logDebug('Rankings data not loaded yet');
       return;
     }
 
     const results = document.querySelectorAll(CONFIG.selectors.resultItem);
-    console.log('[Scholar Orderer] Processing', results.length, 'results');
+    logInfo('Processing', results.length, 'results');
 
     // Process each result synchronously (no HTTP requests needed)
     results.forEach((result, index) => {
@@ -789,32 +2742,50 @@
       if (titleElement) {
         const titleText = titleElement.textContent.trim();
         if (titleText.startsWith('[BOOK]') || titleText.startsWith('[Book]') || titleText.startsWith('[book]')) {
-          console.log('[Scholar Orderer] Result', index, ': Skipping book');
+          logDebug('Result', index, ': Skipping book');
           return;
         }
       }
 
       const authorLine = result.querySelector(CONFIG.selectors.authorLine);
       if (!authorLine) {
-        console.log('[Scholar Orderer] Result', index, ': No author line found');
+        logDebug('Result', index, ': No author line found');
         return;
       }
 
-      // Extract venue from author line (no HTTP request needed)
+      // Extract venue and year from author line (no HTTP request needed)
       const authorLineText = authorLine.textContent;
+      resultYears.set(result, extractYearFromAuthorLine(authorLineText));
+
+      // Overrides are saved under the venue the result was resolved to, which may be a "?" lookup
+      // rather than the (truncated) author line, so check that name before extracting again
+      const resolvedVenue = resultVenues.get(result);
+      const override = resolvedVenue ? findOverride(resolvedVenue) : undefined;
+      if (override !== undefined) {
+        logDebug('Result', index, ': Venue override:', resolvedVenue, '->', override ? override.key : 'suppressed');
+        resultRankings.set(result, override);
+        traceMatch({ source: 'search', index, authorLine: authorLineText, venue: resolvedVenue, matcher: 'override', key: override ? override.key : null, outcome: override ? 'badge' : 'not-ranked' });
+        authorLine.appendChild(override ? createBadgeContainer(override, result) : createNotRankedMarker(resolvedVenue));
+        return;
+      }
+
       const venueName = extractVenueFromAuthorLine(authorLineText, index);
+      if (venueName) resultVenues.set(result, venueName);
       const hasTruncation = authorLineText.includes('…');
 
       if (!venueName) {
+        if (applyCachedLookup(result, authorLine, authorLineText, index)) return;
+
         // Could not extract venue - add fetch button to try citation lookup
-        console.log('[Scholar Orderer] Result', index, ': Could not extract venue, adding fetch button');
+        logDebug('Result', index, ': Could not extract venue, adding fetch button');
+        traceMatch({ source: 'search', index, authorLine: authorLineText, venue: null, matcher: 'none', key: null, outcome: 'fetch-button' });
         const fetchButton = createFetchButton(result, authorLine, index);
         authorLine.appendChild(fetchButton);
         return;
       }
 
-      // Try exact match first
-      const exactRanking = findRanking(venueName);
+      // Try exact match first, then acronym
+      const exactRanking = findRanking(venueName) || findAcronymMatch(venueName);
 
       // Logic:
       // 1. Exact match with NO truncation -> show badge (high confidence)
@@ -826,40 +2797,94 @@
 
       if (exactRanking) {
         // We have an exact match - show badge regardless of truncation
-        console.log('[Scholar Orderer] Result', index, ': Found exact ranking:', exactRanking.key, exactRanking.core || exactRanking.sjr);
-        const badgeContainer = createBadgeContainer(exactRanking);
+        logDebug('Result', index, ': Found exact ranking:', exactRanking.key, exactRanking.core || exactRanking.sjr);
+        resultRankings.set(result, exactRanking);
+        traceMatch({ source: 'search', index, authorLine: authorLineText, venue: venueName, matcher: exactRanking.matcher, key: exactRanking.key, outcome: 'badge' });
+        const badgeContainer = createBadgeContainer(exactRanking, result);
         authorLine.appendChild(badgeContainer);
         return;
       }
 
+      if (applyCachedLookup(result, authorLine, authorLineText, index)) return;
+
       // No exact match - check if venue is truncated
+      let ambiguous = false;
+      let candidates = null;
       if (hasTruncation) {
         // Try prefix matching for truncated venues
         const prefixMatches = findPrefixMatches(venueName);
 
         if (prefixMatches.length === 1) {
           // Single unambiguous match - show badge automatically
-          console.log('[Scholar Orderer] Result', index, ': Single prefix match for truncated venue:', prefixMatches[0].key);
-          const badgeContainer = createBadgeContainer(prefixMatches[0]);
+          logDebug('Result', index, ': Single prefix match for truncated venue:', prefixMatches[0].key);
+          resultRankings.set(result, prefixMatches[0]);
+          traceMatch({ source: 'search', index, authorLine: authorLineText, venue: venueName, matcher: 'prefix', key: prefixMatches[0].key, outcome: 'badge' });
+          const badgeContainer = createBadgeContainer(prefixMatches[0], result);
           authorLine.appendChild(badgeContainer);
           return;
         } else if (prefixMatches.length > 1) {
-          // Multiple possible matches - need user to fetch full name
-          console.log('[Scholar Orderer] Result', index, ': Multiple prefix matches (' + prefixMatches.length + '), adding fetch button');
+          // Multiple possible matches - reuse the user's earlier pick, otherwise let them choose
+          const remembered = findRememberedChoice(venueName, prefixMatches);
+          if (remembered) {
+            logDebug('Result', index, ': Using remembered choice for truncated venue:', remembered.key);
+            resultRankings.set(result, remembered);
+            traceMatch({ source: 'search', index, authorLine: authorLineText, venue: venueName, matcher: 'remembered-choice', key: remembered.key, outcome: 'badge' });
+            authorLine.appendChild(createBadgeContainer(remembered, result));
+            return;
+          }
+          logDebug('Result', index, ': Multiple prefix matches (' + prefixMatches.length + '), adding picker button');
+          ambiguous = true;
+          candidates = prefixMatches;
+          traceMatch({
+            source: 'search',
+            index,
+            authorLine: authorLineText,
+            venue: venueName,
+            matcher: 'prefix',
+            key: null,
+            outcome: 'ambiguous',
+            candidates: prefixMatches.map(m => m.key)
+          });
         } else {
           // No prefix matches found
-          console.log('[Scholar Orderer] Result', index, ': No prefix matches for truncated venue, adding fetch button');
+          logDebug('Result', index, ': No prefix matches for truncated venue');
         }
-        // Fall through to add fetch button for truncated venues with no unique match
+        // Fall through to fuzzy matching for truncated venues with no prefix match
       } else {
-        // Not truncated but no match - venue likely not in database
-        console.log('[Scholar Orderer] Result', index, ': No ranking found (not truncated), adding fetch button');
+        // Not truncated but no match - venue may be abbreviated or reworded
+        logDebug('Result', index, ': No ranking found (not truncated)');
+      }
+
+      // Fuzzy matching as a last resort (ambiguous prefix matches still need the full name)
+      const fuzzyRanking = ambiguous ? null : findFuzzyMatch(venueName, hasTruncation);
+      if (fuzzyRanking) {
+        logDebug('Result', index, ': Fuzzy match:', fuzzyRanking.key, `(${(fuzzyRanking.confidence * 100).toFixed(0)}%)`);
+        resultRankings.set(result, fuzzyRanking);
+        traceMatch({
+          source: 'search',
+          index,
+          authorLine: authorLineText,
+          venue: venueName,
+          matcher: 'fuzzy',
+          key: fuzzyRanking.key,
+          outcome: isProbableMatch(fuzzyRanking) ? 'probable' : 'badge',
+          confidence: fuzzyRanking.confidence
+        });
+        const badgeContainer = createBadgeContainer(fuzzyRanking, result);
+        authorLine.appendChild(badgeContainer);
+        return;
+      }
+
+      if (!ambiguous) {
+        traceMatch({ source: 'search', index, authorLine: authorLineText, venue: venueName, matcher: 'none', key: null, outcome: 'fetch-button' });
       }
 
-      // Add fetch button for all remaining cases (no exact match, no unique prefix match)
-      const fetchButton = createFetchButton(result, authorLine, index);
+      // Add fetch button for all remaining cases (no exact, unique prefix or fuzzy match)
+      const fetchButton = createFetchButton(result, authorLine, index, candidates, venueName);
       authorLine.appendChild(fetchButton);
     });
+
+    injectFlagBadges(results);
   }
 
   // ============================================
@@ -879,7 +2904,8 @@
 
     if (!venueLine) return null;
 
-    let venueName = venueLine.textContent.trim();
+    // Ignore our own badges once they have been added to the line
+    let venueName = getAuthorLineText(venueLine).trim();
 
     // Workshop papers: "SafeAI@ AAAI" or "AISafety/SafeRL@ IJCAI" — use the parent conference
     if (venueName.includes('@ ')) {
@@ -890,6 +2916,11 @@
     if (workshopMatch) {
       venueName = workshopMatch[1];
     }
+    // Acronym plus year: "ICML 2023", "NeurIPS'23" — use the acronym
+    const acronym = extractAcronymWithYear(venueName);
+    if (acronym) {
+      return acronym;
+    }
     // Springer book title format: "Topic: Nth Conference, ACRONYM YEAR, City, Country"
     // Extract topic before colon as venue name
     if (venueName.includes(': ')) {
@@ -928,65 +2959,411 @@
     return venueName || null;
   }
 
-  function calculateRankingDistribution() {
-    const results = document.querySelectorAll(CONFIG.selectors.profileResultItem);
-    const core = { 'A*': 0, 'A': 0, 'B': 0, 'C': 0, 'Unranked': 0, total: 0 };
-    const sjr = { 'Q1': 0, 'Q2': 0, 'Q3': 0, 'Q4': 0, 'Unranked': 0, total: 0 };
-    const jcr = { 'Q1': 0, 'Q2': 0, 'Q3': 0, 'Q4': 0, 'Unranked': 0, total: 0 };
-    const era = { 'A': 0, 'B': 0, 'C': 0, 'Unranked': 0, total: 0 };
-    const qualis = { 'A1': 0, 'A2': 0, 'B1': 0, 'B2': 0, 'B3': 0, 'B4': 0, 'B5': 0, 'Unranked': 0, total: 0 };
+  /**
+   * Position of the profile owner in a row's author list (0 = first author)
+   * Returns null when it cannot be inferred (owner not listed, e.g. cut off by "...")
+   */
+  function getAuthorPosition(authorLineText, ownerName) {
+    if (!authorLineText || !ownerName) return null;
+
+    // Strip accents first so "Émile" still starts with "e"
+    const normalizeName = (name) => normalizeString(name.normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+    const ownerParts = normalizeName(ownerName).split(' ').filter(Boolean);
+    if (ownerParts.length === 0) return null;
+    const ownerLast = ownerParts[ownerParts.length - 1];
+    const ownerInitial = ownerParts[0][0];
+
+    // Scholar lists authors as "J Smith, AB Doe, ..." (initials, then surname)
+    const authors = authorLineText.split(',').map(author => normalizeName(author.replace(/\.\.\.|…/g, ''))).filter(Boolean);
+    const position = authors.findIndex(author => {
+      const parts = author.split(' ');
+      return parts[parts.length - 1] === ownerLast && parts[0][0] === ownerInitial;
+    });
+    return position === -1 ? null : position;
+  }
 
-    results.forEach((result) => {
-      core.total++;
-      sjr.total++;
-      jcr.total++;
-      era.total++;
-      qualis.total++;
+  /**
+   * Ranking, year and owner's author position for every publication row on the profile
+   * Rows are matched once and remembered in profilePublications, since every render asks again
+   */
+  function getProfilePublications() {
+    const nameElement = document.querySelector('#gsc_prf_in');
+    const ownerName = nameElement ? nameElement.textContent.trim() : null;
+
+    return [...document.querySelectorAll(CONFIG.selectors.profileResultItem)].map(row => {
+      if (profilePublications.has(row)) return profilePublications.get(row);
+
+      const venueName = extractVenueNameFromProfileRow(row);
+      const authorLine = row.querySelector(CONFIG.selectors.profileVenueLine);
+      const publication = {
+        row,
+        venueName,
+        ranking: venueName ? findBestRanking(venueName) : null,
+        year: getPublicationYear(row),
+        authorPosition: authorLine ? getAuthorPosition(authorLine.textContent, ownerName) : null
+      };
+      profilePublications.set(row, publication);
+      return publication;
+    });
+  }
 
-      const venueName = extractVenueNameFromProfileRow(result);
-      if (!venueName) {
-        core['Unranked']++;
-        sjr['Unranked']++;
-        jcr['Unranked']++;
-        era['Unranked']++;
-        qualis['Unranked']++;
-        return;
-      }
+  /**
+   * Whether a publication passes the distribution bar's year range and first-author filters
+   * Publications without a year are excluded whenever a year range is set
+   */
+  function matchesProfileFilter(publication, filter) {
+    if (filter.minYear && (!publication.year || publication.year < filter.minYear)) return false;
+    if (filter.maxYear && (!publication.year || publication.year > filter.maxYear)) return false;
+    if (filter.firstAuthorOnly && publication.authorPosition !== 0) return false;
+    return true;
+  }
 
-      const ranking = findRanking(venueName);
+  /**
+   * Tier counts per ranking system for a list of rankings (null for unmatched venues)
+   */
+  function countRankingDistribution(rankings) {
+    const core = { 'A*': 0, 'A': 0, 'B': 0, 'C': 0, 'Unranked': 0, total: 0 };
+    const sjr = { 'Q1': 0, 'Q2': 0, 'Q3': 0, 'Q4': 0, 'Unranked': 0, total: 0 };
+    const jcr = { 'Q1': 0, 'Q2': 0, 'Q3': 0, 'Q4': 0, 'Unranked': 0, total: 0 };
+    const era = { 'A': 0, 'B': 0, 'C': 0, 'Unranked': 0, total: 0 };
+    const qualis = { 'A1': 0, 'A2': 0, 'B1': 0, 'B2': 0, 'B3': 0, 'B4': 0, 'B5': 0, 'Unranked': 0, total: 0 };
+    const distributions = { core, sjr, jcr, era, qualis };
 
-      if (ranking && ranking.core) {
-        core[ranking.core]++;
-      } else {
-        core['Unranked']++;
-      }
+    rankings.forEach(ranking => {
+      Object.entries(distributions).forEach(([system, dist]) => {
+        dist.total++;
+        if (ranking && ranking[system] && dist[ranking[system]] !== undefined) {
+          dist[ranking[system]]++;
+        } else {
+          dist['Unranked']++;
+        }
+      });
+    });
 
-      if (ranking && ranking.sjr) {
-        sjr[ranking.sjr]++;
-      } else {
-        sjr['Unranked']++;
-      }
+    return distributions;
+  }
 
-      if (ranking && ranking.jcr) {
-        jcr[ranking.jcr]++;
-      } else {
-        jcr['Unranked']++;
-      }
+  function calculateRankingDistribution(filter = {}) {
+    return countRankingDistribution(getProfilePublications()
+      .filter(publication => matchesProfileFilter(publication, filter))
+      .map(publication => publication.ranking));
+  }
+
+  /**
+   * Per-year counts of ranked publications for one system: [{ year, counts: { rank: n } }], oldest first
+   */
+  function calculateYearlyDistribution(system, filter = {}) {
+    const years = new Map();
+    getProfilePublications().forEach(publication => {
+      if (!publication.year || !matchesProfileFilter(publication, filter)) return;
+      const rank = publication.ranking && publication.ranking[system];
+      if (!rank) return;
+
+      if (!years.has(publication.year)) years.set(publication.year, {});
+      const counts = years.get(publication.year);
+      counts[rank] = (counts[rank] || 0) + 1;
+    });
+
+    if (years.size === 0) return [];
+    // Fill gaps so the histogram shows quiet years too
+    const sorted = [...years.keys()].sort((a, b) => a - b);
+    const result = [];
+    for (let year = sorted[0]; year <= sorted[sorted.length - 1]; year++) {
+      result.push({ year, counts: years.get(year) || {} });
+    }
+    return result;
+  }
+
+  /**
+   * Weighted venue score: sum of settings.venuePoints[system][rank] over the distribution
+   */
+  function calculateWeightedScore(dist, system) {
+    const points = settings.venuePoints[system] || {};
+    return Object.entries(points).reduce((score, [rank, value]) => score + (dist[rank] || 0) * value, 0);
+  }
+
+  // Tiers (best first) and colours of each ranking system in the distribution bars
+  const DISTRIBUTION_RANK_DEFS = GSOrdererShared.DISTRIBUTION_RANK_DEFS;
+
+  const DISTRIBUTION_TITLES = {
+    core: 'CORE Ranking Distribution',
+    sjr: 'SJR Quartile Distribution',
+    jcr: 'JCR Quartile Distribution',
+    era: 'ERA Ranking Distribution',
+    qualis: 'QUALIS Ranking Distribution'
+  };
+
+  // Year range and first-author filter of the distribution bar (kept while the bar is rebuilt for new rows)
+  const profileViewFilter = { range: 'all', from: null, to: null, firstAuthorOnly: false };
+
+  function getProfileFilter() {
+    const currentYear = new Date().getFullYear();
+    const filter = { firstAuthorOnly: profileViewFilter.firstAuthorOnly };
+    if (profileViewFilter.range === 'last5') {
+      filter.minYear = currentYear - 4;
+    } else if (profileViewFilter.range === 'last10') {
+      filter.minYear = currentYear - 9;
+    } else if (profileViewFilter.range === 'custom') {
+      filter.minYear = profileViewFilter.from;
+      filter.maxYear = profileViewFilter.to;
+    }
+    return filter;
+  }
+
+  /**
+   * Year range select, custom from/to inputs and first-author checkbox; onChange re-renders the bar
+   */
+  function createProfileFilterControls(onChange) {
+    const row = document.createElement('div');
+    row.className = 'gs-orderer-profile-filters';
+
+    const range = document.createElement('select');
+    [['all', 'All years'], ['last5', 'Last 5 years'], ['last10', 'Last 10 years'], ['custom', 'Custom range']]
+      .forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        range.appendChild(option);
+      });
+    range.value = profileViewFilter.range;
+
+    const customRange = document.createElement('span');
+    customRange.className = 'gs-orderer-profile-custom-range';
+    const fromInput = document.createElement('input');
+    const toInput = document.createElement('input');
+    [fromInput, toInput].forEach(input => {
+      input.type = 'number';
+      input.min = '1900';
+      input.max = String(new Date().getFullYear());
+    });
+    fromInput.placeholder = 'from';
+    toInput.placeholder = 'to';
+    fromInput.value = profileViewFilter.from || '';
+    toInput.value = profileViewFilter.to || '';
+    customRange.appendChild(fromInput);
+    customRange.appendChild(document.createTextNode('–'));
+    customRange.appendChild(toInput);
+    customRange.style.display = profileViewFilter.range === 'custom' ? '' : 'none';
+
+    const firstAuthorLabel = document.createElement('label');
+    const firstAuthor = document.createElement('input');
+    firstAuthor.type = 'checkbox';
+    firstAuthor.checked = profileViewFilter.firstAuthorOnly;
+    firstAuthorLabel.appendChild(firstAuthor);
+    firstAuthorLabel.appendChild(document.createTextNode(' First-author only'));
+    firstAuthorLabel.title = 'Publications where this author is listed first (inferred from the author line)';
+
+    range.addEventListener('change', () => {
+      profileViewFilter.range = range.value;
+      customRange.style.display = range.value === 'custom' ? '' : 'none';
+      onChange();
+    });
+    [fromInput, toInput].forEach(input => {
+      input.addEventListener('change', () => {
+        profileViewFilter.from = parseInt(fromInput.value, 10) || null;
+        profileViewFilter.to = parseInt(toInput.value, 10) || null;
+        onChange();
+      });
+    });
+    firstAuthor.addEventListener('change', () => {
+      profileViewFilter.firstAuthorOnly = firstAuthor.checked;
+      onChange();
+    });
+
+    row.appendChild(range);
+    row.appendChild(customRange);
+    row.appendChild(firstAuthorLabel);
+    return row;
+  }
 
-      if (ranking && ranking.era) {
-        era[ranking.era]++;
+  // Tiers picked on the distribution bar; the publication table only shows rows in these tiers
+  const profileTierSelection = { mode: null, tiers: new Set() };
+
+  /**
+   * Click selects a single tier (or clears it when it is the only one selected); shift-click adds or removes it
+   */
+  function selectProfileTier(mode, tier, addToSelection) {
+    if (profileTierSelection.mode !== mode) {
+      profileTierSelection.mode = mode;
+      profileTierSelection.tiers.clear();
+    }
+    const tiers = profileTierSelection.tiers;
+    if (addToSelection) {
+      if (tiers.has(tier)) tiers.delete(tier);
+      else tiers.add(tier);
+    } else if (tiers.size === 1 && tiers.has(tier)) {
+      tiers.clear();
+    } else {
+      tiers.clear();
+      tiers.add(tier);
+    }
+  }
+
+  function clearProfileTierSelection() {
+    profileTierSelection.tiers.clear();
+  }
+
+  /**
+   * Show only the table rows in the selected tiers (and inside the bar's year / first-author filter)
+   * Returns the unranked publications among them, for the "Unranked" list
+   */
+  function applyProfileTierFilter() {
+    const { mode, tiers } = profileTierSelection;
+    const filter = getProfileFilter();
+    const unranked = [];
+    let shown = 0;
+    let total = 0;
+
+    getProfilePublications().forEach(publication => {
+      total++;
+      const tier = (publication.ranking && publication.ranking[mode]) || 'Unranked';
+      const visible = tiers.size === 0 || (tiers.has(tier) && matchesProfileFilter(publication, filter));
+
+      if (visible) {
+        publication.row.style.display = '';
+        publication.row.removeAttribute('data-gs-orderer-hidden');
+        shown++;
+        if (tiers.size > 0 && tier === 'Unranked') unranked.push(publication);
       } else {
-        era['Unranked']++;
+        publication.row.style.display = 'none';
+        publication.row.setAttribute('data-gs-orderer-hidden', 'true');
       }
+    });
 
-      if (ranking && ranking.qualis) {
-        qualis[ranking.qualis]++;
-      } else {
-        qualis['Unranked']++;
+    return { shown, total, unranked };
+  }
+
+  /**
+   * Venues that did not match, grouped by detected name, so they can be fixed with an override
+   */
+  function renderUnrankedList(listElement, unranked) {
+    listElement.innerHTML = '';
+    if (unranked.length === 0) return;
+
+    const groups = new Map();
+    unranked.forEach(publication => {
+      const name = publication.venueName || '(no venue detected)';
+      groups.set(name, (groups.get(name) || 0) + 1);
+    });
+
+    const heading = document.createElement('div');
+    heading.className = 'gs-orderer-unranked-heading';
+    heading.textContent = `Unmatched venues (${groups.size}) - right-click a venue line in the table to map it`;
+    listElement.appendChild(heading);
+
+    const list = document.createElement('ul');
+    [...groups.entries()].sort((a, b) => b[1] - a[1]).forEach(([name, count]) => {
+      const item = document.createElement('li');
+      item.textContent = count > 1 ? `${name} (${count})` : name;
+      list.appendChild(item);
+    });
+    listElement.appendChild(list);
+  }
+
+  /**
+   * The user's default distribution system, otherwise whichever has the most ranked entries
+   */
+  function getDefaultDistributionMode(distributions) {
+    const modes = Object.keys(DISTRIBUTION_RANK_DEFS);
+    if (modes.includes(settings.distributionMode)) return settings.distributionMode;
+    const rankedCount = m => distributions[m].total - distributions[m]['Unranked'];
+    return modes.reduce((best, m) => rankedCount(m) > rankedCount(best) ? m : best, 'core');
+  }
+
+  function createDistributionTrack() {
+    const track = document.createElement('div');
+    track.style.cssText = `
+      display: flex;
+      width: 100%;
+      height: 24px;
+      border-radius: 4px;
+      overflow: hidden;
+      box-shadow: inset 0 1px 2px rgba(0,0,0,0.1);
+    `;
+    return track;
+  }
+
+  function createDistributionLegend() {
+    const legend = document.createElement('div');
+    legend.style.cssText = `
+      display: flex;
+      flex-wrap: wrap;
+      gap: 12px;
+      margin-top: 10px;
+      font-size: 12px;
+    `;
+    return legend;
+  }
+
+  /**
+   * Fill a distribution track and its legend (optional) with one segment / entry per tier.
+   * With onTierClick(event, tier) the tiers become clickable and the selected ones stay highlighted.
+   */
+  function renderDistributionSegments(barContainer, legend, dist, ranks, { selected = new Set(), onTierClick = null } = {}) {
+    barContainer.innerHTML = '';
+    ranks.forEach(rank => {
+      const count = dist[rank.key];
+      if (count === 0) return;
+      const percentage = (count / dist.total) * 100;
+
+      const segment = document.createElement('div');
+      segment.style.cssText = `
+        width: ${percentage}%;
+        height: 100%;
+        background-color: ${rank.color};
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 11px;
+        font-weight: 600;
+        color: ${rank.textColor};
+        overflow: hidden;
+        transition: opacity 0.2s;
+        cursor: ${onTierClick ? 'pointer' : 'default'};
+        opacity: ${selected.size > 0 && !selected.has(rank.key) ? 0.35 : 1};
+      `;
+      if (percentage >= 8) {
+        segment.textContent = rank.key;
       }
+      segment.title = `${rank.key}: ${count} (${percentage.toFixed(1)}%)`;
+      if (onTierClick) {
+        segment.title += ' - click to filter, shift-click to add';
+        segment.addEventListener('click', (e) => onTierClick(e, rank.key));
+      }
+      barContainer.appendChild(segment);
     });
 
-    return { core, sjr, jcr, era, qualis };
+    if (!legend) return;
+    legend.innerHTML = '';
+    ranks.forEach(rank => {
+      const count = dist[rank.key];
+      const percentage = dist.total > 0 ? (count / dist.total) * 100 : 0;
+
+      const item = document.createElement('div');
+      item.style.cssText = `
+        display: flex; align-items: center; gap: 4px; cursor: ${onTierClick ? 'pointer' : 'default'};
+        opacity: ${selected.size > 0 && !selected.has(rank.key) ? 0.5 : 1};
+        font-weight: ${selected.has(rank.key) ? 600 : 'normal'};
+      `;
+      if (onTierClick) {
+        item.title = 'Click to filter the publications, shift-click to add';
+        item.addEventListener('click', (e) => onTierClick(e, rank.key));
+      }
+
+      const colorBox = document.createElement('span');
+      colorBox.style.cssText = `
+        width: 12px; height: 12px; border-radius: 2px;
+        background-color: ${rank.color}; flex-shrink: 0;
+      `;
+
+      const label = document.createElement('span');
+      label.style.cssText = 'color: #5f6368;';
+      label.textContent = `${rank.key}: ${count} (${percentage.toFixed(1)}%)`;
+
+      item.appendChild(colorBox);
+      item.appendChild(label);
+      legend.appendChild(item);
+    });
   }
 
   function createRankingDistributionBar() {
@@ -996,69 +3373,19 @@
       existingBar.remove();
     }
 
-    const distributions = calculateRankingDistribution();
+    let distributions = calculateRankingDistribution();
 
     if (distributions.core.total === 0) {
-      console.log('[Scholar Orderer] No results to show distribution for');
+      logDebug('No results to show distribution for');
       return;
     }
 
-    // Rank definitions for each mode
-    const rankDefs = {
-      core: [
-        { key: 'A*', color: '#1e7e34', textColor: '#ffffff' },
-        { key: 'A', color: '#28a745', textColor: '#ffffff' },
-        { key: 'B', color: '#ffc107', textColor: '#212529' },
-        { key: 'C', color: '#6c757d', textColor: '#ffffff' },
-        { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
-      ],
-      sjr: [
-        { key: 'Q1', color: '#1a5276', textColor: '#ffffff' },
-        { key: 'Q2', color: '#2e86c1', textColor: '#ffffff' },
-        { key: 'Q3', color: '#85c1e9', textColor: '#212529' },
-        { key: 'Q4', color: '#d4e6f1', textColor: '#212529' },
-        { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
-      ],
-      jcr: [
-        { key: 'Q1', color: '#e65100', textColor: '#ffffff' },
-        { key: 'Q2', color: '#fb8c00', textColor: '#ffffff' },
-        { key: 'Q3', color: '#ffb74d', textColor: '#212529' },
-        { key: 'Q4', color: '#ffe0b2', textColor: '#212529' },
-        { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
-      ],
-      era: [
-        { key: 'A', color: '#00695c', textColor: '#ffffff' },
-        { key: 'B', color: '#26a69a', textColor: '#ffffff' },
-        { key: 'C', color: '#80cbc4', textColor: '#212529' },
-        { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
-      ],
-      qualis: [
-        { key: 'A1', color: '#4a148c', textColor: '#ffffff' },
-        { key: 'A2', color: '#7b1fa2', textColor: '#ffffff' },
-        { key: 'B1', color: '#ab47bc', textColor: '#ffffff' },
-        { key: 'B2', color: '#ce93d8', textColor: '#212529' },
-        { key: 'B3', color: '#e1bee7', textColor: '#212529' },
-        { key: 'B4', color: '#f3e5f5', textColor: '#212529' },
-        { key: 'B5', color: '#f8f0fa', textColor: '#212529' },
-        { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
-      ]
-    };
 
-    const titles = {
-      core: 'CORE Ranking Distribution',
-      sjr: 'SJR Quartile Distribution',
-      jcr: 'JCR Quartile Distribution',
-      era: 'ERA Ranking Distribution',
-      qualis: 'QUALIS Ranking Distribution'
-    };
-
-    // Determine default mode: whichever has more ranked publications
-    const modes = ['core', 'sjr', 'jcr', 'era', 'qualis'];
-    const rankedCounts = {};
-    modes.forEach(m => {
-      rankedCounts[m] = distributions[m].total - distributions[m]['Unranked'];
-    });
-    let currentMode = modes.reduce((best, m) => rankedCounts[m] > rankedCounts[best] ? m : best, 'core');
+    let currentMode = getDefaultDistributionMode(distributions);
+    // Keep the system whose tiers are filtering the table when the bar is rebuilt for new rows
+    if (profileTierSelection.tiers.size > 0) {
+      currentMode = profileTierSelection.mode;
+    }
 
     // Create container
     const container = document.createElement('div');
@@ -1113,30 +3440,27 @@
       buttons[label.toLowerCase()] = btn;
       toggleContainer.appendChild(btn);
     });
+    const headerActions = document.createElement('div');
+    headerActions.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+    headerActions.appendChild(createTraceExportButton());
+    headerActions.appendChild(createProfileExportControl());
+    if (getProfileId()) headerActions.appendChild(createPinControls());
+    headerActions.appendChild(toggleContainer);
+
     headerRow.appendChild(title);
-    headerRow.appendChild(toggleContainer);
+    headerRow.appendChild(headerActions);
     container.appendChild(headerRow);
 
+    container.appendChild(createProfileFilterControls(() => {
+      distributions = calculateRankingDistribution(getProfileFilter());
+      renderBar(currentMode);
+    }));
+
     // Create bar, legend, summary containers
-    const barContainer = document.createElement('div');
-    barContainer.style.cssText = `
-      display: flex;
-      width: 100%;
-      height: 24px;
-      border-radius: 4px;
-      overflow: hidden;
-      box-shadow: inset 0 1px 2px rgba(0,0,0,0.1);
-    `;
+    const barContainer = createDistributionTrack();
     container.appendChild(barContainer);
 
-    const legend = document.createElement('div');
-    legend.style.cssText = `
-      display: flex;
-      flex-wrap: wrap;
-      gap: 12px;
-      margin-top: 10px;
-      font-size: 12px;
-    `;
+    const legend = createDistributionLegend();
     container.appendChild(legend);
 
     const summary = document.createElement('div');
@@ -1149,15 +3473,43 @@
     `;
     container.appendChild(summary);
 
+    const scoreLine = document.createElement('div');
+    scoreLine.className = 'gs-orderer-profile-score';
+    container.appendChild(scoreLine);
+
+    const histogram = document.createElement('div');
+    histogram.className = 'gs-orderer-histogram';
+    container.appendChild(histogram);
+
+    const selectionStatus = document.createElement('div');
+    selectionStatus.className = 'gs-orderer-tier-status';
+    container.appendChild(selectionStatus);
+
+    const unrankedList = document.createElement('div');
+    unrankedList.className = 'gs-orderer-unranked-list';
+    container.appendChild(unrankedList);
+
+    function onTierClick(e, mode, tier) {
+      e.preventDefault();
+      e.stopPropagation();
+      selectProfileTier(mode, tier, e.shiftKey);
+      renderBar(mode);
+    }
+
     function renderBar(mode) {
       currentMode = mode;
+      if (profileTierSelection.mode !== mode) {
+        clearProfileTierSelection();
+        profileTierSelection.mode = mode;
+      }
+      const selected = profileTierSelection.tiers;
       const dist = distributions[mode];
-      const ranks = rankDefs[mode];
+      const ranks = DISTRIBUTION_RANK_DEFS[mode];
       const rankedKeys = ranks.filter(r => r.key !== 'Unranked').map(r => r.key);
       const rankedTotal = rankedKeys.reduce((sum, k) => sum + (dist[k] || 0), 0);
 
       // Update title
-      title.textContent = titles[mode];
+      title.textContent = DISTRIBUTION_TITLES[mode];
 
       // Update toggle button styles
       const activeStyle = btnBaseStyle + 'background-color: #1a73e8; color: #ffffff;';
@@ -1166,62 +3518,100 @@
         buttons[k].style.cssText = k === mode ? activeStyle : inactiveStyle;
       });
 
-      // Update bar segments
-      barContainer.innerHTML = '';
-      ranks.forEach(rank => {
-        const count = dist[rank.key];
-        if (count === 0) return;
-        const percentage = (count / dist.total) * 100;
-
-        const segment = document.createElement('div');
-        segment.style.cssText = `
-          width: ${percentage}%;
-          height: 100%;
-          background-color: ${rank.color};
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 11px;
-          font-weight: 600;
-          color: ${rank.textColor};
-          overflow: hidden;
-          transition: opacity 0.2s;
-          cursor: default;
-        `;
-        if (percentage >= 8) {
-          segment.textContent = rank.key;
-        }
-        segment.title = `${rank.key}: ${count} (${percentage.toFixed(1)}%)`;
-        barContainer.appendChild(segment);
+      renderDistributionSegments(barContainer, legend, dist, ranks, {
+        selected,
+        onTierClick: (e, tier) => onTierClick(e, mode, tier)
       });
 
-      // Update legend
-      legend.innerHTML = '';
-      ranks.forEach(rank => {
-        const count = dist[rank.key];
-        const percentage = dist.total > 0 ? (count / dist.total) * 100 : 0;
+      // Update summary
+      const rankedPercentage = dist.total > 0 ? (rankedTotal / dist.total) * 100 : 0;
+      summary.textContent = `Total: ${dist.total} publications | Ranked: ${rankedTotal} (${rankedPercentage.toFixed(1)}%)`;
 
-        const item = document.createElement('div');
-        item.style.cssText = 'display: flex; align-items: center; gap: 4px;';
+      renderScore(mode, dist);
+      renderHistogram(mode);
+      renderSelection(mode);
+    }
 
-        const colorBox = document.createElement('span');
-        colorBox.style.cssText = `
-          width: 12px; height: 12px; border-radius: 2px;
-          background-color: ${rank.color}; flex-shrink: 0;
-        `;
+    // Filter the publication table to the selected tiers
+    function renderSelection(mode) {
+      const { shown, total, unranked } = applyProfileTierFilter();
+      selectionStatus.innerHTML = '';
+      unrankedList.innerHTML = '';
+      if (profileTierSelection.tiers.size === 0) return;
+
+      const tierNames = [...profileTierSelection.tiers].join(', ');
+      selectionStatus.appendChild(document.createTextNode(
+        `Showing ${shown} of ${total} publications (${mode.toUpperCase()} ${tierNames}) `));
+      const clear = document.createElement('button');
+      clear.type = 'button';
+      clear.textContent = 'Show all';
+      clear.addEventListener('click', (e) => {
+        e.preventDefault();
+        clearProfileTierSelection();
+        renderBar(mode);
+      });
+      selectionStatus.appendChild(clear);
 
-        const label = document.createElement('span');
-        label.style.cssText = 'color: #5f6368;';
-        label.textContent = `${rank.key}: ${count} (${percentage.toFixed(1)}%)`;
+      if (profileTierSelection.tiers.has('Unranked')) {
+        renderUnrankedList(unrankedList, unranked);
+      }
+    }
 
-        item.appendChild(colorBox);
-        item.appendChild(label);
-        legend.appendChild(item);
-      });
+    // Weighted score for the filtered publications, and for first-author ones alongside
+    function renderScore(mode, dist) {
+      const filter = getProfileFilter();
+      const points = settings.venuePoints[mode] || {};
+      const pointsText = Object.entries(points).map(([rank, value]) => `${rank}=${value}`).join(', ');
+      const score = calculateWeightedScore(dist, mode);
+
+      const publications = getProfilePublications();
+      const known = publications.filter(p => p.authorPosition !== null).length;
+      let text = `Weighted ${mode.toUpperCase()} score: ${score}`;
+      if (!filter.firstAuthorOnly) {
+        const firstAuthorDist = calculateRankingDistribution({ ...filter, firstAuthorOnly: true })[mode];
+        text += ` | First-author: ${firstAuthorDist.total} publications, score ${calculateWeightedScore(firstAuthorDist, mode)}`;
+      }
+      scoreLine.textContent = text;
+      scoreLine.title = `Points per tier: ${pointsText} (change them on the options page). ` +
+        `Author position inferred for ${known} of ${publications.length} publications.`;
+    }
 
-      // Update summary
-      const rankedPercentage = dist.total > 0 ? (rankedTotal / dist.total) * 100 : 0;
-      summary.textContent = `Total: ${dist.total} publications | Ranked: ${rankedTotal} (${rankedPercentage.toFixed(1)}%)`;
+    // Stacked columns of ranked publications per year
+    function renderHistogram(mode) {
+      histogram.innerHTML = '';
+      const years = calculateYearlyDistribution(mode, getProfileFilter());
+      if (years.length === 0) return;
+
+      const ranks = DISTRIBUTION_RANK_DEFS[mode].filter(r => r.key !== 'Unranked');
+      const maxCount = Math.max(1, ...years.map(y => Object.values(y.counts).reduce((sum, n) => sum + n, 0)));
+      const labelEvery = Math.ceil(years.length / 12);
+
+      years.forEach(({ year, counts }, i) => {
+        const column = document.createElement('div');
+        column.className = 'gs-orderer-histogram-column';
+        const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+        column.title = `${year}: ${total} ranked` +
+          ranks.filter(r => counts[r.key]).map(r => `, ${r.key}: ${counts[r.key]}`).join('');
+
+        const stack = document.createElement('div');
+        stack.className = 'gs-orderer-histogram-stack';
+        // Best tier on top
+        ranks.forEach(rank => {
+          if (!counts[rank.key]) return;
+          const segment = document.createElement('div');
+          segment.style.height = `${counts[rank.key] / maxCount * 100}%`;
+          segment.style.backgroundColor = rank.color;
+          stack.appendChild(segment);
+        });
+
+        const label = document.createElement('div');
+        label.className = 'gs-orderer-histogram-label';
+        label.textContent = i % labelEvery === 0 ? `'${String(year).slice(2)}` : '';
+
+        column.appendChild(stack);
+        column.appendChild(label);
+        histogram.appendChild(column);
+      });
     }
 
     // Wire up toggle buttons
@@ -1229,100 +3619,1139 @@
       buttons[mode].addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); renderBar(mode); });
     });
 
-    // Initial render
+    // Initial render (the year / first-author filter survives rebuilds)
+    distributions = calculateRankingDistribution(getProfileFilter());
     renderBar(currentMode);
 
     // Insert before the publications table
     const profileTable = document.querySelector('#gsc_a_t');
     if (profileTable) {
       profileTable.parentNode.insertBefore(container, profileTable);
-      console.log('[Scholar Orderer] Ranking distribution bar inserted (default: ' + currentMode + ')');
+      logInfo('Ranking distribution bar inserted (default: ' + currentMode + ')');
     } else {
       const profileContainer = document.querySelector(CONFIG.selectors.profileContainer);
       if (profileContainer) {
         profileContainer.parentNode.insertBefore(container, profileContainer);
-        console.log('[Scholar Orderer] Ranking distribution bar inserted (fallback, default: ' + currentMode + ')');
+        logInfo('Ranking distribution bar inserted (fallback, default: ' + currentMode + ')');
+      }
+    }
+  }
+
+  // ============================================
+  // Author Profile Page Badge Injection
+  // ============================================
+
+  async function injectBadgesOnProfilePage() {
+    if (!rankingsData) {
+      logDebug('Rankings data not loaded yet');
+      return;
+    }
+
+    const results = document.querySelectorAll(CONFIG.selectors.profileResultItem);
+    logInfo('Processing', results.length, 'profile results');
+
+    results.forEach((result, index) => {
+      // Skip if already processed
+      if (result.querySelector('.gs-orderer-badge-container')) return;
+
+      const venueName = extractVenueNameFromProfileRow(result);
+      const grayLines = result.querySelectorAll('.gs_gray');
+      const rawVenueLine = grayLines.length ? grayLines[grayLines.length >= 2 ? 1 : 0].textContent : null;
+
+      logDebug('Profile result', index, ': Detected venue:', venueName);
+
+      if (!venueName) {
+        logDebug('Profile result', index, ': Could not extract venue name');
+        traceMatch({ source: 'profile', index, authorLine: rawVenueLine, venue: null, matcher: 'none', key: null, outcome: 'unranked' });
+        return;
+      }
+
+      const ranking = findBestRanking(venueName);
+      resultRankings.set(result, ranking);
+      traceMatch({
+        source: 'profile',
+        index,
+        authorLine: rawVenueLine,
+        venue: venueName,
+        matcher: ranking ? ranking.matcher : 'none',
+        key: ranking ? ranking.key : null,
+        outcome: ranking ? 'badge' : 'unranked'
+      });
+      if (!ranking) {
+        logDebug('Profile result', index, ': No ranking found for venue');
+        return;
+      }
+
+      logDebug('Profile result', index, ': Found ranking:', ranking.key, ranking.core || ranking.sjr);
+      const badgeContainer = createBadgeContainer(ranking);
+
+      // Insert badge after venue text
+      const grayElements = result.querySelectorAll('.gs_gray');
+      const venueLine = grayElements.length >= 2 ? grayElements[1] : grayElements[0];
+      if (venueLine) {
+        venueLine.appendChild(badgeContainer);
+      }
+    });
+
+    injectFlagBadges(results);
+  }
+
+  function setupProfileMutationObserver() {
+    const targetNode = document.querySelector(CONFIG.selectors.profileContainer);
+    if (!targetNode) return;
+
+    const observer = new MutationObserver((mutations) => {
+      let hasNewResults = false;
+
+      mutations.forEach(mutation => {
+        if (mutation.addedNodes.length > 0) {
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE &&
+                (node.matches?.(CONFIG.selectors.profileResultItem) ||
+                 node.querySelector?.(CONFIG.selectors.profileResultItem))) {
+              hasNewResults = true;
+            }
+          });
+        }
+      });
+
+      if (hasNewResults) {
+        // Debounce the reprocessing
+        setTimeout(() => {
+          injectBadgesOnProfilePage();
+          // Update the distribution bar with new data
+          createRankingDistributionBar();
+          // Place newly loaded rows according to the active sort
+          if (currentProfileSort !== 'default') {
+            sortProfileRows(currentProfileSort);
+          }
+        }, 100);
+      }
+    });
+
+    observer.observe(targetNode, {
+      childList: true,
+      subtree: true
+    });
+  }
+
+  // ============================================
+  // Author Profile Export
+  // ============================================
+
+  // Progress text while an export or pin is loading all publications (the distribution bar is rebuilt as rows arrive)
+  let profileBusyStatus = null;
+
+  function setProfileBusyStatus(status) {
+    profileBusyStatus = status;
+    const statusElement = document.querySelector('#gs-orderer-profile-export-status');
+    if (statusElement) statusElement.textContent = status || '';
+    const select = document.querySelector('#gs-orderer-profile-export .gs-orderer-export');
+    if (select) select.disabled = !!status;
+    const pinButton = document.querySelector('#gs-orderer-pin');
+    if (pinButton) pinButton.disabled = !!status;
+  }
+
+  /**
+   * Click "Show more" until every publication is listed (or nothing more loads)
+   */
+  async function loadAllProfileRows() {
+    const countRows = () => document.querySelectorAll(CONFIG.selectors.profileResultItem).length;
+
+    for (let page = 0; page < CONFIG.profileExport.maxPages; page++) {
+      const moreButton = document.querySelector(CONFIG.selectors.profileShowMore);
+      if (!moreButton || moreButton.disabled) return;
+
+      const before = countRows();
+      moreButton.click();
+
+      const start = Date.now();
+      while (countRows() === before && Date.now() - start < CONFIG.profileExport.pageTimeout) {
+        await wait(250);
+      }
+      if (countRows() === before) {
+        logWarn('"Show more" did not load more publications, exporting', before);
+        return;
+      }
+      setProfileBusyStatus(`Loading publications… ${countRows()}`);
+    }
+  }
+
+  function getProfileRowRecord(row) {
+    const venueName = extractVenueNameFromProfileRow(row);
+    const titleLink = row.querySelector('.gsc_a_at');
+    const grayLines = row.querySelectorAll(CONFIG.selectors.profileVenueLine);
+    const venueLine = grayLines.length >= 2 ? getAuthorLineText(grayLines[1]).trim() : null;
+
+    return createExportRecord({
+      title: titleLink ? titleLink.textContent.trim() : '',
+      authors: grayLines.length ? grayLines[0].textContent.split(',').map(author => author.replace(/\.\.\.|…/g, '').trim()).filter(Boolean) : [],
+      year: getPublicationYear(row),
+      venue: venueName || venueLine,
+      ranking: venueName ? findBestRanking(venueName) : null,
+      citations: getCitationCount(row),
+      url: titleLink ? titleLink.href : null
+    });
+  }
+
+  /**
+   * Distribution summary as its own CSV table: one row per ranking system and tier
+   */
+  function formatDistributionAsCsv(distributions) {
+    const lines = ['system,rank,count,percent'];
+    Object.entries(distributions).forEach(([system, counts]) => {
+      Object.entries(counts).forEach(([rank, count]) => {
+        if (rank === 'total') return;
+        const percent = counts.total ? (count / counts.total * 100).toFixed(1) : '0.0';
+        lines.push([system.toUpperCase(), rank, count, percent].map(escapeCsvValue).join(','));
+      });
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  async function exportProfile(formatKey) {
+    if (profileBusyStatus) return;
+
+    setProfileBusyStatus('Loading publications…');
+    try {
+      await loadAllProfileRows();
+
+      const records = [...document.querySelectorAll(CONFIG.selectors.profileResultItem)].map(getProfileRowRecord);
+      const distribution = calculateRankingDistribution();
+      const nameElement = document.querySelector('#gsc_prf_in');
+      const authorName = nameElement ? nameElement.textContent.trim() : null;
+      const basename = `scholar-profile-${(authorName || 'author').toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+      if (formatKey === 'json') {
+        const report = {
+          exportedAt: new Date().toISOString(),
+          profile: { name: authorName, url: window.location.href },
+          count: records.length,
+          distribution,
+          publications: records
+        };
+        downloadFile(`${basename}-${Date.now()}.json`, JSON.stringify(report, null, 2), 'application/json');
+      } else {
+        // One table per file: the publications, then the distribution summary as a second download
+        const timestamp = Date.now();
+        downloadFile(`${basename}-${timestamp}.csv`, formatRecordsAsCsv(records), 'text/csv');
+        downloadFile(`${basename}-distribution-${timestamp}.csv`, formatDistributionAsCsv(distribution), 'text/csv');
+      }
+      logInfo('Exported', records.length, 'profile publications as', formatKey);
+      setProfileBusyStatus(null);
+    } catch (error) {
+      logError('Profile export failed:', error);
+      setProfileBusyStatus(null);
+      const statusElement = document.querySelector('#gs-orderer-profile-export-status');
+      if (statusElement) statusElement.textContent = 'Export failed';
+    }
+  }
+
+  function createProfileExportControl() {
+    const wrapper = document.createElement('span');
+    wrapper.id = 'gs-orderer-profile-export';
+
+    const select = createExportSelect(exportProfile, 'Load every publication ("Show more") and download them with their rankings', ['csv', 'json']);
+    select.disabled = !!profileBusyStatus;
+    const status = document.createElement('span');
+    status.id = 'gs-orderer-profile-export-status';
+    status.textContent = profileBusyStatus || '';
+
+    wrapper.appendChild(status);
+    wrapper.appendChild(select);
+    return wrapper;
+  }
+
+  // ============================================
+  // Pinned Author Profiles (Comparison View)
+  // ============================================
+
+  // Pinned authors keyed by profile ID, shown side by side on compare.html (chrome.storage.local)
+  let pinnedAuthors = {};
+
+  async function loadPinnedAuthors() {
+    try {
+      const stored = await chrome.storage.local.get('pinnedAuthors');
+      pinnedAuthors = stored.pinnedAuthors || {};
+    } catch (error) {
+      logError('Failed to load pinned authors:', error);
+    }
+  }
+
+  function getProfileId() {
+    return new URLSearchParams(window.location.search).get('user');
+  }
+
+  /**
+   * Name, affiliation and the citations / h-index / i10-index table from the profile header
+   */
+  function getProfileHeader() {
+    const text = (selector) => {
+      const element = document.querySelector(selector);
+      return element ? element.textContent.trim() : null;
+    };
+    // Cells alternate "All" and "Since <year>": citations, h-index, i10-index
+    const stats = [...document.querySelectorAll('#gsc_rsb_st td.gsc_rsb_std')]
+      .map(cell => parseInt(cell.textContent.replace(/\D/g, ''), 10) || 0);
+
+    return {
+      name: text('#gsc_prf_in'),
+      affiliation: text('.gsc_prf_il'),
+      citations: stats[0] ?? null,
+      citationsRecent: stats[1] ?? null,
+      hIndex: stats[2] ?? null,
+      hIndexRecent: stats[3] ?? null,
+      i10Index: stats[4] ?? null,
+      i10IndexRecent: stats[5] ?? null
+    };
+  }
+
+  async function pinCurrentProfile() {
+    const profileId = getProfileId();
+    if (!profileId || profileBusyStatus) return;
+
+    setProfileBusyStatus('Loading publications…');
+    try {
+      // The distribution must cover every publication, not just the first page
+      await loadAllProfileRows();
+
+      pinnedAuthors[profileId] = {
+        id: profileId,
+        url: `${window.location.origin}/citations?user=${encodeURIComponent(profileId)}`,
+        ...getProfileHeader(),
+        publications: document.querySelectorAll(CONFIG.selectors.profileResultItem).length,
+        distribution: calculateRankingDistribution(),
+        pinnedAt: new Date().toISOString()
+      };
+      await chrome.storage.local.set({ pinnedAuthors });
+      logInfo('Pinned author', profileId);
+    } catch (error) {
+      logError('Failed to pin author:', error);
+    } finally {
+      setProfileBusyStatus(null);
+      updatePinControls();
+    }
+  }
+
+  async function unpinCurrentProfile() {
+    delete pinnedAuthors[getProfileId()];
+    await chrome.storage.local.set({ pinnedAuthors });
+    updatePinControls();
+  }
+
+  function updatePinControls(root = document) {
+    const pinButton = root.querySelector('#gs-orderer-pin');
+    const compareButton = root.querySelector('#gs-orderer-compare');
+    if (!pinButton || !compareButton) return;
+
+    const pinned = !!pinnedAuthors[getProfileId()];
+    const count = Object.keys(pinnedAuthors).length;
+    pinButton.textContent = pinned ? '📌 Unpin' : '📌 Pin';
+    pinButton.title = pinned
+      ? 'Remove this author from the comparison'
+      : 'Add this author to the comparison (loads every publication first)';
+    pinButton.disabled = !!profileBusyStatus;
+    compareButton.textContent = `Compare (${count})`;
+    compareButton.disabled = count === 0;
+  }
+
+  function createPinControls() {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'gs-orderer-pin-controls';
+
+    const pinButton = document.createElement('button');
+    pinButton.type = 'button';
+    pinButton.id = 'gs-orderer-pin';
+    pinButton.className = 'gs-orderer-pin-btn';
+    pinButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (pinnedAuthors[getProfileId()]) {
+        unpinCurrentProfile();
+      } else {
+        pinCurrentProfile();
+      }
+    });
+
+    const compareButton = document.createElement('button');
+    compareButton.type = 'button';
+    compareButton.id = 'gs-orderer-compare';
+    compareButton.className = 'gs-orderer-pin-btn';
+    compareButton.title = 'Open the side-by-side comparison of pinned authors';
+    compareButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.sendMessage({ type: 'openComparison' });
+    });
+
+    wrapper.appendChild(pinButton);
+    wrapper.appendChild(compareButton);
+    updatePinControls(wrapper);
+    return wrapper;
+  }
+
+  // ============================================
+  // Cited-by / Related Articles Summary
+  // ============================================
+
+  // System shown in the summary header; null until the first render picks the default
+  let citationSummaryMode = null;
+
+  /**
+   * 'library' for My library and its labels (?scilib=...), 'cited-by' for the papers citing an
+   * article (?cites=...), 'related' for related articles (?q=related:...), otherwise null
+   */
+  function getSearchPageMode() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('scilib')) return 'library';
+    if (params.get('cites')) return 'cited-by';
+    if (/^related:/i.test(params.get('q') || '')) return 'related';
+    return null;
+  }
+
+  /**
+   * CORE / SJR / JCR / ERA / QUALIS button group of the summary headers
+   */
+  function createSystemToggle(onSelect) {
+    const toggle = document.createElement('div');
+    toggle.className = 'gs-orderer-system-toggle';
+    Object.keys(DISTRIBUTION_RANK_DEFS).forEach(system => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = system.toUpperCase();
+      button.setAttribute('data-system', system);
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        onSelect(system);
+      });
+      toggle.appendChild(button);
+    });
+    return toggle;
+  }
+
+  function updateSystemToggle(root, mode) {
+    root.querySelectorAll('.gs-orderer-system-toggle button').forEach(button => {
+      button.classList.toggle('active', button.getAttribute('data-system') === mode);
+    });
+  }
+
+  function isTopTierRanking(ranking) {
+    return !!ranking && (ranking.core === 'A*' || ranking.sjr === 'Q1' || ranking.jcr === 'Q1');
+  }
+
+  /**
+   * Venue-rank distribution of the results on a cited-by or related-articles page,
+   * shown above the results and kept up to date as lookups resolve venues
+   */
+  function updateCitationSummary() {
+    const pageMode = getSearchPageMode();
+    const container = document.querySelector(CONFIG.selectors.resultsContainer);
+    if ((pageMode !== 'cited-by' && pageMode !== 'related') || !container) return;
+
+    let summary = document.querySelector('#gs-orderer-citation-summary');
+    if (!summary) {
+      summary = createCitationSummary(pageMode);
+      const controls = document.querySelector('#gs-orderer-controls');
+      container.parentNode.insertBefore(summary, controls || container);
+    }
+
+    const results = [...container.querySelectorAll(CONFIG.selectors.resultItem)];
+    const rankings = results.map(result => resultRankings.get(result) || null);
+    const distributions = countRankingDistribution(rankings);
+    if (!citationSummaryMode) {
+      citationSummaryMode = getDefaultDistributionMode(distributions);
+    }
+    const mode = citationSummaryMode;
+    const noun = pageMode === 'cited-by' ? 'citing papers' : 'related articles';
+
+    summary.querySelector('.gs-orderer-result-summary-title').textContent =
+      `${DISTRIBUTION_TITLES[mode]} of ${noun}`;
+    updateSystemToggle(summary, mode);
+
+    renderDistributionSegments(
+      summary.querySelector('.gs-orderer-citation-summary-track'),
+      summary.querySelector('.gs-orderer-citation-summary-legend'),
+      distributions[mode],
+      DISTRIBUTION_RANK_DEFS[mode]
+    );
+
+    const topTier = rankings.filter(isTopTierRanking).length;
+    const pending = results.filter(result => result.querySelector('.gs-orderer-fetch-btn')).length;
+    let text = pageMode === 'cited-by'
+      ? `Citations from A*/Q1 venues: ${topTier} of ${results.length} on this page`
+      : `From A*/Q1 venues: ${topTier} of ${results.length} on this page`;
+    if (pending > 0) {
+      text += ` | ${pending} venue${pending === 1 ? '' : 's'} not looked up yet (use "Resolve all unmatched")`;
+    }
+    summary.querySelector('.gs-orderer-result-summary-counts').textContent = text;
+  }
+
+  function createCitationSummary(pageMode) {
+    const summary = document.createElement('div');
+    summary.id = 'gs-orderer-citation-summary';
+    summary.className = 'gs-orderer-result-summary';
+    summary.setAttribute('data-page-mode', pageMode);
+
+    const header = document.createElement('div');
+    header.className = 'gs-orderer-result-summary-header';
+
+    const title = document.createElement('div');
+    title.className = 'gs-orderer-result-summary-title';
+    header.appendChild(title);
+
+    header.appendChild(createSystemToggle(system => {
+      citationSummaryMode = system;
+      updateCitationSummary();
+    }));
+    summary.appendChild(header);
+
+    const track = createDistributionTrack();
+    track.classList.add('gs-orderer-citation-summary-track');
+    summary.appendChild(track);
+
+    const legend = createDistributionLegend();
+    legend.classList.add('gs-orderer-citation-summary-legend');
+    summary.appendChild(legend);
+
+    const counts = document.createElement('div');
+    counts.className = 'gs-orderer-result-summary-counts';
+    summary.appendChild(counts);
+
+    return summary;
+  }
+
+  // ============================================
+  // My Library Pages (Per-Label Distributions and Export)
+  // ============================================
+
+  const UNLABELLED = '(no label)';
+
+  // System shown in the library summary; null until the first render picks the default
+  let librarySummaryMode = null;
+  // Label picked for the export ('' exports every entry)
+  let libraryExportLabel = '';
+  // Progress text while the following library pages are fetched
+  let libraryBusyStatus = null;
+  // Set once every following page has been appended to the list
+  let libraryFullyLoaded = false;
+
+  function getLibraryItemLabels(result) {
+    const labels = [...result.querySelectorAll(CONFIG.selectors.libraryItemLabel)]
+      .map(label => label.textContent.trim())
+      .filter(Boolean);
+    return labels.length ? [...new Set(labels)] : [UNLABELLED];
+  }
+
+  /**
+   * Library entries grouped by label (an entry with several labels is in each group),
+   * labels sorted by name with unlabelled entries last
+   */
+  function groupLibraryItemsByLabel(results) {
+    const groups = new Map();
+    results.forEach(result => {
+      getLibraryItemLabels(result).forEach(label => {
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(result);
+      });
+    });
+    return new Map([...groups.entries()].sort(([a], [b]) => {
+      if (a === UNLABELLED || b === UNLABELLED) return a === UNLABELLED ? 1 : -1;
+      return a.localeCompare(b);
+    }));
+  }
+
+  function setLibraryBusyStatus(status) {
+    libraryBusyStatus = status;
+    const summary = document.querySelector('#gs-orderer-library-summary');
+    if (!summary) return;
+    summary.querySelector('#gs-orderer-library-status').textContent = status || '';
+    summary.querySelectorAll('#gs-orderer-library-load, .gs-orderer-export').forEach(control => {
+      control.disabled = !!status;
+    });
+  }
+
+  /**
+   * Fetch the following pages of the library (or label) and append their entries to the list,
+   * where the mutation pipeline badges, sorts and filters them like any other result
+   */
+  async function loadAllLibraryPages() {
+    const container = document.querySelector(CONFIG.selectors.resultsContainer);
+    if (!container || libraryFullyLoaded) return;
+
+    const url = new URL(window.location.href);
+    const pageSize = container.querySelectorAll(CONFIG.selectors.resultItem).length;
+    let start = (parseInt(url.searchParams.get('start'), 10) || 0) + pageSize;
+
+    for (let page = 0; page < CONFIG.libraryExport.maxPages; page++) {
+      if (isLookupPaused()) {
+        logWarn('Lookups are paused, not loading more library pages');
+        return;
+      }
+
+      url.searchParams.set('start', start);
+      const response = await fetch(url.toString(), { credentials: 'include' });
+      if (isBlockedResponse(response)) {
+        pauseLookups(response.url);
+        return;
+      }
+      if (!response.ok) {
+        logWarn('Library page returned HTTP', response.status);
+        return;
+      }
+      const html = await response.text();
+      if (isBlockedResponse(response, html)) {
+        pauseLookups(response.url);
+        return;
+      }
+
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const items = [...doc.querySelectorAll(CONFIG.selectors.resultItem)];
+      items.forEach(item => container.appendChild(document.adoptNode(item)));
+      start += items.length;
+      // Badge the new entries now so an export right after sees their rankings
+      // (the mutation observer skips entries that are already processed)
+      processNewResults();
+      setLibraryBusyStatus(`Loading library… ${container.querySelectorAll(CONFIG.selectors.resultItem).length}`);
+
+      // Only a short or empty page proves there is nothing more to load
+      if (items.length < pageSize || items.length === 0) {
+        libraryFullyLoaded = true;
+        return;
+      }
+      await wait(getLookupInterval());
+    }
+    logWarn('Stopped loading library pages after', CONFIG.libraryExport.maxPages, 'pages');
+  }
+
+  function reportLibraryError(message, error) {
+    logError(message, error);
+    setLibraryBusyStatus(null);
+    const status = document.querySelector('#gs-orderer-library-status');
+    if (status) status.textContent = `${message} ${error.message || error}`;
+  }
+
+  async function exportLibrary(formatKey) {
+    if (libraryBusyStatus) return;
+
+    setLibraryBusyStatus('Loading library…');
+    try {
+      await loadAllLibraryPages();
+
+      // Every entry with the label, whatever the filters currently hide
+      const label = libraryExportLabel;
+      const results = getResultsInOrder()
+        .filter(result => !label || getLibraryItemLabels(result).includes(label));
+      const records = results.map(getSearchResultRecord);
+      const basename = 'scholar-library' + (label ? `-${label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : '');
+
+      if (formatKey === 'json' || formatKey === 'csv') {
+        const distribution = countRankingDistribution(results.map(result => resultRankings.get(result) || null));
+        if (formatKey === 'json') {
+          const report = {
+            exportedAt: new Date().toISOString(),
+            library: { label: label || null, url: window.location.href },
+            count: records.length,
+            distribution,
+            publications: records
+          };
+          downloadFile(`${basename}-${Date.now()}.json`, JSON.stringify(report, null, 2), 'application/json');
+        } else {
+          // One table per file: the distribution summary is only part of the JSON report
+          downloadFile(`${basename}-${Date.now()}.csv`, formatRecordsAsCsv(records), 'text/csv');
+        }
+        logInfo('Exported', records.length, 'library entries as', formatKey);
+      } else {
+        exportRecords(records, basename, formatKey);
       }
+      setLibraryBusyStatus(null);
+    } catch (error) {
+      reportLibraryError('Library export failed:', error);
+    } finally {
+      updateLibrarySummary();
+    }
+  }
+
+  function createLibraryLabelRow(name, results, mode, legend = null) {
+    const rankings = results.map(result => resultRankings.get(result) || null);
+    const dist = countRankingDistribution(rankings)[mode];
+
+    const row = document.createElement('div');
+    row.className = 'gs-orderer-library-label-row';
+
+    const label = document.createElement('div');
+    label.className = 'gs-orderer-library-label-name';
+    label.textContent = name;
+    label.title = name;
+
+    const track = createDistributionTrack();
+    track.style.height = '16px';
+    renderDistributionSegments(track, legend, dist, DISTRIBUTION_RANK_DEFS[mode]);
+
+    const count = document.createElement('div');
+    count.className = 'gs-orderer-library-label-count';
+    count.textContent = `${results.length} | A*/Q1: ${rankings.filter(isTopTierRanking).length}`;
+
+    row.appendChild(label);
+    row.appendChild(track);
+    row.appendChild(count);
+    return row;
+  }
+
+  /**
+   * Venue-rank distribution per label of the My library entries in the list
+   */
+  function updateLibrarySummary() {
+    const container = document.querySelector(CONFIG.selectors.resultsContainer);
+    if (getSearchPageMode() !== 'library' || !container) return;
+
+    let summary = document.querySelector('#gs-orderer-library-summary');
+    if (!summary) {
+      summary = createLibrarySummary();
+      const controls = document.querySelector('#gs-orderer-controls');
+      container.parentNode.insertBefore(summary, controls || container);
+    }
+
+    const results = [...container.querySelectorAll(CONFIG.selectors.resultItem)];
+    const groups = groupLibraryItemsByLabel(results);
+    if (!librarySummaryMode) {
+      librarySummaryMode = getDefaultDistributionMode(
+        countRankingDistribution(results.map(result => resultRankings.get(result) || null)));
     }
+    const mode = librarySummaryMode;
+
+    summary.querySelector('.gs-orderer-result-summary-title').textContent = `${DISTRIBUTION_TITLES[mode]} by label`;
+    updateSystemToggle(summary, mode);
+
+    const rows = summary.querySelector('.gs-orderer-library-labels');
+    const legend = summary.querySelector('.gs-orderer-library-legend');
+    rows.innerHTML = '';
+    rows.appendChild(createLibraryLabelRow('All entries', results, mode, legend));
+    groups.forEach((groupResults, name) => {
+      rows.appendChild(createLibraryLabelRow(name, groupResults, mode));
+    });
+
+    // Keep the export choice when the labels on the page change
+    const labelSelect = summary.querySelector('#gs-orderer-library-label');
+    if (libraryExportLabel && !groups.has(libraryExportLabel)) libraryExportLabel = '';
+    labelSelect.innerHTML = '';
+    ['', ...groups.keys()].forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name || 'All labels';
+      labelSelect.appendChild(option);
+    });
+    labelSelect.value = libraryExportLabel;
+
+    summary.querySelector('#gs-orderer-library-load').hidden = libraryFullyLoaded;
+    const pending = results.filter(result => result.querySelector('.gs-orderer-fetch-btn')).length;
+    let text = libraryFullyLoaded
+      ? `${results.length} entries (all pages loaded)`
+      : `${results.length} entries on this page`;
+    if (pending > 0) {
+      text += ` | ${pending} venue${pending === 1 ? '' : 's'} not looked up yet (use "Resolve all unmatched")`;
+    }
+    summary.querySelector('.gs-orderer-result-summary-counts').textContent = text;
+  }
+
+  function createLibrarySummary() {
+    const summary = document.createElement('div');
+    summary.id = 'gs-orderer-library-summary';
+    summary.className = 'gs-orderer-result-summary';
+
+    const header = document.createElement('div');
+    header.className = 'gs-orderer-result-summary-header';
+
+    const title = document.createElement('div');
+    title.className = 'gs-orderer-result-summary-title';
+    header.appendChild(title);
+
+    const actions = document.createElement('div');
+    actions.className = 'gs-orderer-library-actions';
+
+    const status = document.createElement('span');
+    status.id = 'gs-orderer-library-status';
+    status.textContent = libraryBusyStatus || '';
+    actions.appendChild(status);
+
+    const loadButton = document.createElement('button');
+    loadButton.type = 'button';
+    loadButton.id = 'gs-orderer-library-load';
+    loadButton.textContent = 'Load all pages';
+    loadButton.title = 'Fetch the following pages of this list so the distributions cover every entry';
+    loadButton.disabled = !!libraryBusyStatus;
+    loadButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      if (libraryBusyStatus) return;
+      setLibraryBusyStatus('Loading library…');
+      try {
+        await loadAllLibraryPages();
+        setLibraryBusyStatus(null);
+      } catch (error) {
+        reportLibraryError('Loading the library failed:', error);
+      } finally {
+        updateLibrarySummary();
+      }
+    });
+    actions.appendChild(loadButton);
+
+    const labelSelect = document.createElement('select');
+    labelSelect.id = 'gs-orderer-library-label';
+    labelSelect.title = 'Label to export';
+    labelSelect.addEventListener('change', () => {
+      libraryExportLabel = labelSelect.value;
+    });
+    actions.appendChild(labelSelect);
+
+    const exportSelect = createExportSelect(exportLibrary,
+      'Load every page of this list and download the entries with the chosen label and their rankings');
+    exportSelect.disabled = !!libraryBusyStatus;
+    actions.appendChild(exportSelect);
+    actions.appendChild(createSystemToggle(system => {
+      librarySummaryMode = system;
+      updateLibrarySummary();
+    }));
+    header.appendChild(actions);
+    summary.appendChild(header);
+
+    const rows = document.createElement('div');
+    rows.className = 'gs-orderer-library-labels';
+    summary.appendChild(rows);
+
+    const legend = createDistributionLegend();
+    legend.classList.add('gs-orderer-library-legend');
+    summary.appendChild(legend);
+
+    const counts = document.createElement('div');
+    counts.className = 'gs-orderer-result-summary-counts';
+    summary.appendChild(counts);
+
+    return summary;
+  }
+
+  /**
+   * Summary headers above the results: cited-by / related articles, or My library labels
+   */
+  function updateResultSummaries() {
+    updateCitationSummary();
+    updateLibrarySummary();
+  }
+
+  // ============================================
+  // Scholar Metrics Venue Pages (h5-index Check)
+  // ============================================
+
+  // Venue rows of the Scholar Metrics table with the live h5 values and the matched ranking
+  const metricsVenues = [];
+
+  function getMetricsRows() {
+    return [...document.querySelectorAll(CONFIG.selectors.metricsRow)]
+      .filter(row => row.querySelector(CONFIG.selectors.metricsVenueCell));
+  }
+
+  function parseMetricsNumber(cell) {
+    if (!cell) return null;
+    const value = parseInt(cell.textContent.replace(/\D/g, ''), 10);
+    return isNaN(value) ? null : value;
+  }
+
+  /**
+   * Dataset section of a matched venue key, or null for the user's own venues
+   */
+  function getDatasetSection(key) {
+    if (venueOverrides.venues[key]) return null;
+    if (rankingsData.conferences[key]) return 'conferences';
+    if (rankingsData.journals[key]) return 'journals';
+    return null;
+  }
+
+  function createH5DiffMarker(bundledH5, liveH5) {
+    const marker = document.createElement('span');
+    marker.className = 'gs-orderer-h5-diff';
+    if (bundledH5) {
+      const delta = liveH5 - bundledH5;
+      marker.textContent = `bundled h5 ${bundledH5} (${delta > 0 ? '+' : ''}${delta})`;
+      marker.title = `The bundled dataset has h5-index ${bundledH5}; this page shows ${liveH5}`;
+    } else {
+      marker.textContent = 'no bundled h5';
+      marker.title = `The bundled dataset has no h5-index for this venue; this page shows ${liveH5}`;
+    }
+    return marker;
+  }
+
+  /**
+   * Badge every venue in the Scholar Metrics table and flag bundled h5 values that differ from the page
+   */
+  function annotateMetricsPage() {
+    if (!rankingsData) {
+      logDebug('Rankings data not loaded yet');
+      return;
+    }
+
+    metricsVenues.length = 0;
+    getMetricsRows().forEach((row, index) => {
+      const venueCell = row.querySelector(CONFIG.selectors.metricsVenueCell);
+      const [h5Cell, medianCell] = row.querySelectorAll(CONFIG.selectors.metricsH5Cell);
+      const venueName = venueCell.textContent.trim();
+      const liveH5 = parseMetricsNumber(h5Cell);
+      const ranking = findBestRanking(venueName);
+
+      resultVenues.set(row, venueName);
+      resultRankings.set(row, ranking);
+      metricsVenues.push({ row, venueName, liveH5, liveH5Median: parseMetricsNumber(medianCell), ranking });
+      traceMatch({
+        source: 'metrics',
+        index,
+        authorLine: venueName,
+        venue: venueName,
+        matcher: ranking ? ranking.matcher : 'none',
+        key: ranking ? ranking.key : null,
+        outcome: ranking ? 'badge' : 'unranked'
+      });
+
+      if (!ranking) {
+        venueCell.appendChild(createNotRankedMarker(venueName));
+        return;
+      }
+      venueCell.appendChild(createBadgeContainer(ranking));
+      if (liveH5 !== null && (ranking.h5 || 0) !== liveH5 && getDatasetSection(ranking.key)) {
+        row.classList.add('gs-orderer-h5-differs');
+        venueCell.appendChild(createH5DiffMarker(ranking.h5, liveH5));
+      }
+    });
+    injectFlagBadges(getMetricsRows());
+
+    updateMetricsControls();
+  }
+
+  /**
+   * Changes to the bundled h5 values suggested by this page, for refreshing data/core-rankings.json
+   */
+  function getMetricsH5Diff() {
+    const changes = [];
+    const needsReview = [];
+    const unmatched = [];
+    metricsVenues.forEach(({ venueName, liveH5, liveH5Median, ranking }) => {
+      if (liveH5 === null) return;
+      const section = ranking ? getDatasetSection(ranking.key) : null;
+      if (!section) {
+        unmatched.push({ scholarName: venueName, liveH5, liveH5Median });
+        return;
+      }
+      const bundledH5 = ranking.h5 || null;
+      if (bundledH5 === liveH5) return;
+
+      const change = {
+        key: ranking.key,
+        section,
+        fullName: ranking.fullName || null,
+        scholarName: venueName,
+        matcher: ranking.matcher,
+        bundledH5,
+        liveH5,
+        liveH5Median,
+        delta: bundledH5 ? liveH5 - bundledH5 : null
+      };
+      if (ranking.confidence !== undefined) change.confidence = Number(ranking.confidence.toFixed(2));
+      // Only exact name and alias matches are safe to copy over; acronym, fuzzy and other
+      // matches may be a different venue and need a human check first
+      (EXACT_MATCHERS.has(ranking.matcher) ? changes : needsReview).push(change);
+    });
+    return { changes, needsReview, unmatched };
+  }
+
+  function exportMetricsH5Diff() {
+    const { changes, needsReview, unmatched } = getMetricsH5Diff();
+    const params = new URLSearchParams(window.location.search);
+    const report = {
+      exportedAt: new Date().toISOString(),
+      source: {
+        url: window.location.href,
+        category: params.get('vq') || null,
+        title: document.title
+      },
+      dataset: 'data/core-rankings.json',
+      venues: metricsVenues.length,
+      changes,
+      needsReview,
+      unmatched
+    };
+    const category = (params.get('vq') || 'top').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadFile(`scholar-metrics-h5-${category}-${Date.now()}.json`, JSON.stringify(report, null, 2), 'application/json');
+    logInfo('Exported', changes.length, 'h5 changes,', needsReview.length, 'to review and', unmatched.length, 'unmatched venues');
+  }
+
+  function updateMetricsControls() {
+    const controls = document.querySelector('#gs-orderer-metrics-controls');
+    if (!controls) return;
+    const matched = metricsVenues.filter(venue => venue.ranking).length;
+    const { changes, needsReview } = getMetricsH5Diff();
+    controls.querySelector('.gs-orderer-metrics-counts').textContent =
+      `${matched} of ${metricsVenues.length} venues matched | bundled h5 differs for ${changes.length + needsReview.length}`;
+  }
+
+  function createMetricsControls() {
+    if (document.querySelector('#gs-orderer-metrics-controls')) return;
+
+    const table = document.querySelector(CONFIG.selectors.metricsTable);
+    if (!table) return;
+
+    const controls = document.createElement('div');
+    controls.id = 'gs-orderer-metrics-controls';
+
+    const counts = document.createElement('span');
+    counts.className = 'gs-orderer-metrics-counts';
+    controls.appendChild(counts);
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.id = 'gs-orderer-metrics-export';
+    exportButton.textContent = 'Export h5 diff (JSON)';
+    exportButton.title = 'Download the bundled h5-index values that differ from this page, and the venues missing from the dataset';
+    exportButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      exportMetricsH5Diff();
+    });
+    controls.appendChild(exportButton);
+    controls.appendChild(createTraceExportButton());
+
+    table.parentNode.insertBefore(controls, table);
   }
 
   // ============================================
-  // Author Profile Page Badge Injection
+  // Quality Score
   // ============================================
 
-  async function injectBadgesOnProfilePage() {
-    if (!rankingsData) {
-      console.log('[Scholar Orderer] Rankings data not loaded yet');
-      return;
-    }
-
-    const results = document.querySelectorAll(CONFIG.selectors.profileResultItem);
-    console.log('[Scholar Orderer] Processing', results.length, 'profile results');
+  function saveQualityWeights() {
+    chrome.storage.sync.set({ qualityWeights }).catch(error => {
+      logError('Failed to save quality weights:', error);
+    });
+  }
 
-    results.forEach((result, index) => {
-      // Skip if already processed
-      if (result.querySelector('.gs-orderer-badge-container')) return;
+  /**
+   * Best tier across all ranking systems, normalised to 0-1 (1 = top tier)
+   * e.g. CORE A* = 1, CORE B = 0.5, SJR Q2 = 0.75
+   */
+  function getVenueRankSignal(ranking) {
+    if (!ranking) return 0;
+    let best = 0;
+    Object.keys(CONFIG.rankOrder).forEach(system => {
+      const index = getRankIndex(ranking, system);
+      if (index === Infinity) return;
+      const tiers = CONFIG.rankOrder[system].length;
+      best = Math.max(best, 1 - index / tiers);
+    });
+    return best;
+  }
 
-      const venueName = extractVenueNameFromProfileRow(result);
+  /**
+   * Combine citations, venue rank, venue h5 and paper age into a single 0-100 score
+   * Each signal is normalised to 0-1 first so the weights are comparable
+   */
+  function getQualityScore(result) {
+    const ranking = resultRankings.get(result);
+    const citations = getCitationCount(result);
+    const year = getPublicationYear(result);
+    const age = year ? Math.max(0, new Date().getFullYear() - year) : null;
+
+    const signals = {
+      citations: Math.min(1, Math.log10(citations + 1) / 4),  // 10,000 citations = 1
+      venueRank: getVenueRankSignal(ranking),
+      h5: ranking && ranking.h5 ? Math.min(1, ranking.h5 / 200) : 0,
+      recency: age === null ? 0 : Math.max(0, 1 - age / 20)  // Linear decay over 20 years
+    };
 
-      console.log('[Scholar Orderer] Profile result', index, ': Detected venue:', venueName);
+    let weighted = 0;
+    let totalWeight = 0;
+    Object.keys(signals).forEach(signal => {
+      const weight = qualityWeights[signal] || 0;
+      weighted += weight * signals[signal];
+      totalWeight += weight;
+    });
 
-      if (!venueName) {
-        console.log('[Scholar Orderer] Profile result', index, ': Could not extract venue name');
-        return;
-      }
+    const score = totalWeight > 0 ? (weighted / totalWeight) * 100 : 0;
+    return { score, signals, citations, year };
+  }
 
-      const ranking = findRanking(venueName);
-      if (!ranking) {
-        console.log('[Scholar Orderer] Profile result', index, ': No ranking found for venue');
-        return;
-      }
+  function renderQualityScoreRows(quality) {
+    const labels = {
+      citations: `Citations (${quality.citations})`,
+      venueRank: 'Venue rank',
+      h5: 'Venue h5',
+      recency: `Recency (${quality.year || 'year unknown'})`
+    };
 
-      console.log('[Scholar Orderer] Profile result', index, ': Found ranking:', ranking.key, ranking.core || ranking.sjr);
-      const badgeContainer = createBadgeContainer(ranking);
+    let html = `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">Quality score:</span> <span class="gs-orderer-tooltip-value">${quality.score.toFixed(1)}</span></div>`;
+    Object.keys(labels).forEach(signal => {
+      html += `<div class="gs-orderer-tooltip-row"><span class="gs-orderer-tooltip-label">${labels[signal]} × ${qualityWeights[signal]}</span> <span class="gs-orderer-tooltip-value">${(quality.signals[signal] * 100).toFixed(0)}%</span></div>`;
+    });
+    return html;
+  }
 
-      // Insert badge after venue text
-      const grayElements = result.querySelectorAll('.gs_gray');
-      const venueLine = grayElements.length >= 2 ? grayElements[1] : grayElements[0];
-      if (venueLine) {
-        venueLine.appendChild(badgeContainer);
+  function refreshQualityScores() {
+    document.querySelectorAll(CONFIG.selectors.resultItem).forEach(result => {
+      const scoreSection = result.querySelector('.gs-orderer-tooltip-score');
+      if (scoreSection) {
+        scoreSection.innerHTML = renderQualityScoreRows(getQualityScore(result));
       }
     });
+    if (currentSort === 'quality-score') {
+      sortResults(currentSort);
+    }
   }
 
-  function setupProfileMutationObserver() {
-    const targetNode = document.querySelector(CONFIG.selectors.profileContainer);
-    if (!targetNode) return;
+  function createWeightSettings() {
+    if (document.querySelector('#gs-orderer-weights')) return;
 
-    const observer = new MutationObserver((mutations) => {
-      let hasNewResults = false;
+    const controls = document.querySelector('#gs-orderer-controls');
+    if (!controls) return;
 
-      mutations.forEach(mutation => {
-        if (mutation.addedNodes.length > 0) {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE &&
-                (node.matches?.(CONFIG.selectors.profileResultItem) ||
-                 node.querySelector?.(CONFIG.selectors.profileResultItem))) {
-              hasNewResults = true;
-            }
-          });
-        }
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'gs-orderer-weights-toggle';
+    toggle.textContent = '⚙';
+    toggle.title = 'Quality score weights';
+
+    const panel = document.createElement('div');
+    panel.id = 'gs-orderer-weights';
+    panel.hidden = true;
+
+    const labels = {
+      citations: 'Citations',
+      venueRank: 'Venue rank',
+      h5: 'Venue h5',
+      recency: 'Recency'
+    };
+
+    Object.keys(labels).forEach(signal => {
+      const row = document.createElement('label');
+      row.className = 'gs-orderer-weights-row';
+
+      const name = document.createElement('span');
+      name.textContent = labels[signal];
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.max = '10';
+      input.step = '0.1';
+      input.value = qualityWeights[signal];
+      input.setAttribute('data-signal', signal);
+      input.addEventListener('change', () => {
+        qualityWeights[signal] = Math.max(0, parseFloat(input.value) || 0);
+        saveQualityWeights();
+        refreshQualityScores();
       });
 
-      if (hasNewResults) {
-        // Debounce the reprocessing
-        setTimeout(() => {
-          injectBadgesOnProfilePage();
-          // Update the distribution bar with new data
-          createRankingDistributionBar();
-        }, 100);
-      }
+      row.appendChild(name);
+      row.appendChild(input);
+      panel.appendChild(row);
     });
 
-    observer.observe(targetNode, {
-      childList: true,
-      subtree: true
+    toggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      panel.hidden = !panel.hidden;
     });
+
+    controls.appendChild(toggle);
+    controls.appendChild(panel);
   }
 
   // ============================================
@@ -1351,6 +4780,65 @@
     });
   }
 
+  /**
+   * Position of a ranking's tier within CONFIG.rankOrder (0 = best)
+   * Returns Infinity for unranked results so they always sort last
+   */
+  function getRankIndex(ranking, system) {
+    if (!ranking || !ranking[system]) return Infinity;
+    const index = CONFIG.rankOrder[system].indexOf(ranking[system]);
+    return index === -1 ? Infinity : index;
+  }
+
+  function compareByRank(system) {
+    return (a, b) => {
+      const rankA = getRankIndex(resultRankings.get(a), system);
+      const rankB = getRankIndex(resultRankings.get(b), system);
+      if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+      // Ties (including two unranked results) break by citations
+      return getCitationCount(b) - getCitationCount(a);
+    };
+  }
+
+  function compareByH5(a, b) {
+    const rankingA = resultRankings.get(a);
+    const rankingB = resultRankings.get(b);
+    const h5A = rankingA && rankingA.h5 ? rankingA.h5 : -1;
+    const h5B = rankingB && rankingB.h5 ? rankingB.h5 : -1;
+    if (h5A !== h5B) return h5B - h5A;
+    return getCitationCount(b) - getCitationCount(a);
+  }
+
+  /**
+   * Compare results by a numeric value, best first
+   * Results whose value is null (e.g. unknown year) always sort last
+   */
+  function compareByValue(getValue, descending = true) {
+    return (a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+      if (valueA === null && valueB === null) return 0;
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+      return descending ? valueB - valueA : valueA - valueB;
+    };
+  }
+
+  // Comparators for every non-default sort mode offered in #gs-orderer-sort-select
+  const SORT_COMPARATORS = {
+    'citations-desc': (a, b) => getCitationCount(b) - getCitationCount(a),
+    'citations-asc': (a, b) => getCitationCount(a) - getCitationCount(b),
+    'citations-per-year': compareByValue(getCitationsPerYear),
+    'year-desc': compareByValue(getPublicationYear),
+    'year-asc': compareByValue(getPublicationYear, false),
+    'quality-score': compareByValue(result => getQualityScore(result).score),
+    'core-rank': compareByRank('core'),
+    'sjr-rank': compareByRank('sjr'),
+    'jcr-rank': compareByRank('jcr'),
+    'qualis-rank': compareByRank('qualis'),
+    'h5-desc': compareByH5
+  };
+
   function sortResults(sortType) {
     const container = document.querySelector(CONFIG.selectors.resultsContainer);
     if (!container) return;
@@ -1365,24 +4853,19 @@
       container.style.flexDirection = 'column';
     }
 
-    if (sortType === 'default') {
+    const comparator = SORT_COMPARATORS[sortType];
+    if (comparator) {
+      // Sorted position becomes the CSS order (lowest order shown first)
+      const sorted = [...results].sort(comparator);
+      sorted.forEach((result, index) => {
+        result.style.order = index;
+      });
+    } else {
       // Restore original order using stored indices
       results.forEach(result => {
         const originalIndex = parseInt(result.getAttribute('data-gs-orderer-original-index') || '0', 10);
         result.style.order = originalIndex;
       });
-    } else if (sortType === 'citations-desc') {
-      // Sort by citations descending - highest citations get lowest order number
-      const sorted = [...results].sort((a, b) => getCitationCount(b) - getCitationCount(a));
-      sorted.forEach((result, index) => {
-        result.style.order = index;
-      });
-    } else if (sortType === 'citations-asc') {
-      // Sort by citations ascending - lowest citations get lowest order number
-      const sorted = [...results].sort((a, b) => getCitationCount(a) - getCitationCount(b));
-      sorted.forEach((result, index) => {
-        result.style.order = index;
-      });
     }
 
     // Update dropdown visual
@@ -1392,6 +4875,456 @@
     }
   }
 
+  // Sort modes offered on profile pages (Scholar's own profile sort only has citations and year)
+  const PROFILE_SORT_OPTIONS = [
+    ['default', 'Default (Scholar order)'],
+    ['quality-score', 'Quality Score (Composite)'],
+    ['core-rank', 'CORE Rank (A* first)'],
+    ['sjr-rank', 'SJR Quartile (Q1 first)'],
+    ['jcr-rank', 'JCR Quartile (Q1 first)'],
+    ['qualis-rank', 'QUALIS Tier (A1 first)'],
+    ['h5-desc', 'Venue h5-index (High to Low)'],
+    ['citations-per-year', 'Citations per Year']
+  ];
+
+  let currentProfileSort = 'default';
+
+  /**
+   * Number new profile rows (loaded by "Show more") after the ones already seen
+   */
+  function saveProfileOriginalOrder() {
+    const rows = document.querySelectorAll(CONFIG.selectors.profileResultItem);
+    let nextIndex = 0;
+    rows.forEach(row => {
+      if (row.hasAttribute('data-gs-orderer-original-index')) {
+        nextIndex = Math.max(nextIndex, parseInt(row.getAttribute('data-gs-orderer-original-index'), 10) + 1);
+      }
+    });
+    rows.forEach(row => {
+      if (!row.hasAttribute('data-gs-orderer-original-index')) {
+        row.setAttribute('data-gs-orderer-original-index', nextIndex++);
+      }
+    });
+  }
+
+  /**
+   * Same CSS order approach as sortResults; the table body and rows become flex containers
+   * while a sort is active (see .gs-orderer-profile-sorted in styles.css)
+   */
+  function sortProfileRows(sortType) {
+    const table = document.querySelector(CONFIG.selectors.profileTable);
+    const container = document.querySelector(CONFIG.selectors.profileContainer);
+    if (!table || !container) return;
+
+    currentProfileSort = sortType;
+    saveProfileOriginalOrder();
+    const rows = Array.from(container.querySelectorAll(CONFIG.selectors.profileResultItem));
+
+    const comparator = SORT_COMPARATORS[sortType];
+    if (comparator) {
+      // Flex rows lose the table's column sizing, so copy the header's widths
+      const header = table.querySelector('thead tr');
+      if (header) {
+        [['.gsc_a_c', '--gs-orderer-citations-width'], ['.gsc_a_y', '--gs-orderer-year-width']].forEach(([selector, property]) => {
+          const cell = header.querySelector(selector);
+          if (cell && cell.offsetWidth) table.style.setProperty(property, `${cell.offsetWidth}px`);
+        });
+      }
+      table.classList.add('gs-orderer-profile-sorted');
+
+      const sorted = [...rows].sort(comparator);
+      sorted.forEach((row, index) => {
+        row.style.order = index;
+      });
+    } else {
+      table.classList.remove('gs-orderer-profile-sorted');
+      rows.forEach(row => {
+        row.style.order = parseInt(row.getAttribute('data-gs-orderer-original-index') || '0', 10);
+      });
+    }
+
+    const dropdown = document.querySelector('#gs-orderer-profile-sort');
+    if (dropdown) {
+      dropdown.value = sortType;
+    }
+  }
+
+  function createProfileSortControls() {
+    if (document.querySelector('#gs-orderer-profile-controls')) return;
+
+    const table = document.querySelector(CONFIG.selectors.profileTable);
+    if (!table) return;
+
+    const controls = document.createElement('div');
+    controls.id = 'gs-orderer-profile-controls';
+
+    const label = document.createElement('label');
+    label.htmlFor = 'gs-orderer-profile-sort';
+    label.textContent = 'Sort publications by:';
+
+    const select = document.createElement('select');
+    select.id = 'gs-orderer-profile-sort';
+    PROFILE_SORT_OPTIONS.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = currentProfileSort;
+    select.addEventListener('change', (e) => {
+      sortProfileRows(e.target.value);
+    });
+
+    controls.appendChild(label);
+    controls.appendChild(select);
+    table.parentNode.insertBefore(controls, table);
+  }
+
+  // ============================================
+  // Filtering
+  // ============================================
+
+  function passesFilters(result) {
+    const ranking = resultRankings.get(result);
+    if (currentFilters.hideUnranked && !ranking) return false;
+    if (currentFilters.hideFlagged && getResultFlags(result).length > 0) return false;
+    if (currentFilters.core) {
+      const maxIndex = CONFIG.rankOrder.core.indexOf(currentFilters.core);
+      if (getRankIndex(ranking, 'core') > maxIndex) return false;
+    }
+    if (currentFilters.sjr) {
+      const maxIndex = CONFIG.rankOrder.sjr.indexOf(currentFilters.sjr);
+      if (getRankIndex(ranking, 'sjr') > maxIndex) return false;
+    }
+    if (currentFilters.minH5 > 0) {
+      if (!ranking || !ranking.h5 || ranking.h5 < currentFilters.minH5) return false;
+    }
+    if (currentFilters.minYear || currentFilters.maxYear) {
+      // Results without a known year cannot be placed in the range
+      const year = getPublicationYear(result);
+      if (!year) return false;
+      if (currentFilters.minYear && year < currentFilters.minYear) return false;
+      if (currentFilters.maxYear && year > currentFilters.maxYear) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Hide results that fail the active filters
+   * Hidden results stay in the flex container so their CSS order (and the current sort) is preserved
+   */
+  function applyFilters() {
+    const container = document.querySelector(CONFIG.selectors.resultsContainer);
+    if (!container) return;
+
+    const results = container.querySelectorAll(CONFIG.selectors.resultItem);
+    let hiddenCount = 0;
+
+    results.forEach(result => {
+      if (passesFilters(result)) {
+        result.style.display = '';
+        result.removeAttribute('data-gs-orderer-hidden');
+      } else {
+        result.style.display = 'none';
+        result.setAttribute('data-gs-orderer-hidden', 'true');
+        hiddenCount++;
+      }
+    });
+
+    const counter = document.querySelector('#gs-orderer-hidden-count');
+    if (counter) {
+      counter.textContent = hiddenCount > 0 ? `${hiddenCount} of ${results.length} hidden` : '';
+    }
+  }
+
+  function createFilterControls() {
+    if (document.querySelector('#gs-orderer-filters')) return;
+
+    const controls = document.querySelector('#gs-orderer-controls');
+    if (!controls) return;
+
+    const filters = document.createElement('div');
+    filters.id = 'gs-orderer-filters';
+    filters.innerHTML = `
+      <label for="gs-orderer-filter-core">CORE:</label>
+      <select id="gs-orderer-filter-core" class="gs-orderer-filter-select">
+        <option value="">Any</option>
+        <option value="A*">A* only</option>
+        <option value="A">A and above</option>
+        <option value="B">B and above</option>
+        <option value="C">C and above</option>
+      </select>
+      <label for="gs-orderer-filter-sjr">SJR:</label>
+      <select id="gs-orderer-filter-sjr" class="gs-orderer-filter-select">
+        <option value="">Any</option>
+        <option value="Q1">Q1 only</option>
+        <option value="Q2">Q1–Q2</option>
+        <option value="Q3">Q1–Q3</option>
+        <option value="Q4">Q1–Q4</option>
+      </select>
+      <label for="gs-orderer-filter-h5">h5 ≥</label>
+      <input id="gs-orderer-filter-h5" class="gs-orderer-filter-input" type="number" min="0" step="1" placeholder="0">
+      <label for="gs-orderer-filter-year-min">Years:</label>
+      <input id="gs-orderer-filter-year-min" class="gs-orderer-filter-input" type="number" min="1800" step="1" placeholder="From">
+      <span>–</span>
+      <input id="gs-orderer-filter-year-max" class="gs-orderer-filter-input" type="number" min="1800" step="1" placeholder="To">
+      <label class="gs-orderer-filter-checkbox">
+        <input id="gs-orderer-filter-unranked" type="checkbox"> Hide unranked
+      </label>
+      <label class="gs-orderer-filter-checkbox" title="Predatory, discontinued or retracted venues from the flag list">
+        <input id="gs-orderer-filter-flagged" type="checkbox"> Hide flagged venues
+      </label>
+    `;
+
+    filters.querySelector('#gs-orderer-filter-core').addEventListener('change', (e) => {
+      currentFilters.core = e.target.value;
+      applyFilters();
+    });
+    filters.querySelector('#gs-orderer-filter-sjr').addEventListener('change', (e) => {
+      currentFilters.sjr = e.target.value;
+      applyFilters();
+    });
+    filters.querySelector('#gs-orderer-filter-h5').addEventListener('input', (e) => {
+      currentFilters.minH5 = parseInt(e.target.value, 10) || 0;
+      applyFilters();
+    });
+    filters.querySelector('#gs-orderer-filter-year-min').addEventListener('input', (e) => {
+      currentFilters.minYear = parseInt(e.target.value, 10) || 0;
+      applyFilters();
+    });
+    filters.querySelector('#gs-orderer-filter-year-max').addEventListener('input', (e) => {
+      currentFilters.maxYear = parseInt(e.target.value, 10) || 0;
+      applyFilters();
+    });
+    filters.querySelector('#gs-orderer-filter-unranked').addEventListener('change', (e) => {
+      currentFilters.hideUnranked = e.target.checked;
+      applyFilters();
+    });
+    filters.querySelector('#gs-orderer-filter-flagged').addEventListener('change', (e) => {
+      currentFilters.hideFlagged = e.target.checked;
+      applyFilters();
+    });
+
+    controls.parentNode.insertBefore(filters, controls.nextSibling);
+  }
+
+  // ============================================
+  // Results Export (CSV / JSON / BibTeX / RIS)
+  // ============================================
+
+  const EXPORT_RANK_FIELDS = ['core', 'sjr', 'jcr', 'era', 'qualis'];
+
+  const CSV_COLUMNS = [
+    'title', 'authors', 'year', 'venue', 'venueKey', 'venueType',
+    'core', 'sjr', 'jcr', 'era', 'qualis', 'h5', 'citations', 'url'
+  ];
+
+  /**
+   * Author line text without our own badges and buttons
+   */
+  function getAuthorLineText(authorLine) {
+    const clone = authorLine.cloneNode(true);
+    clone.querySelectorAll('[class^="gs-orderer-"], [class*=" gs-orderer-"]').forEach(element => element.remove());
+    return clone.textContent;
+  }
+
+  function getResultTitle(result) {
+    const titleLink = result.querySelector('.gs_rt a');
+    if (titleLink) return titleLink.textContent.trim();
+    const titleElement = result.querySelector('.gs_rt');
+    return titleElement ? titleElement.textContent.replace(/^(\s*\[[^\]]+\])+/, '').trim() : '';
+  }
+
+  /**
+   * Export record shared by search results and profile rows
+   */
+  function createExportRecord({ title, authors, year, venue, ranking, citations, url }) {
+    const record = {
+      title,
+      authors,
+      year: year || null,
+      venue: venue || null,
+      venueKey: ranking ? ranking.key : null,
+      venueType: ranking && ranking.type ? ranking.type : null
+    };
+    EXPORT_RANK_FIELDS.forEach(field => {
+      record[field] = ranking && ranking[field] ? ranking[field] : null;
+    });
+    record.h5 = ranking && ranking.h5 ? ranking.h5 : null;
+    record.citations = citations;
+    record.url = url || null;
+    return record;
+  }
+
+  function getSearchResultRecord(result) {
+    const authorLine = result.querySelector(CONFIG.selectors.authorLine);
+    const authorLineText = authorLine ? getAuthorLineText(authorLine) : '';
+    const authors = authorLineText.split(/\s+[-–—]\s+/)[0]
+      .split(',')
+      .map(author => author.replace(/…/g, '').trim())
+      .filter(Boolean);
+    const titleLink = result.querySelector('.gs_rt a');
+
+    return createExportRecord({
+      title: getResultTitle(result),
+      authors,
+      year: getPublicationYear(result),
+      venue: resultVenues.get(result),
+      ranking: resultRankings.get(result),
+      citations: getCitationCount(result),
+      url: titleLink ? titleLink.href : null
+    });
+  }
+
+  /**
+   * Visible search results in their current (sorted) order
+   */
+  function getResultsInOrder() {
+    return [...document.querySelectorAll(CONFIG.selectors.resultItem)]
+      .sort((a, b) => (parseInt(a.style.order, 10) || 0) - (parseInt(b.style.order, 10) || 0));
+  }
+
+  function getVisibleResultsInOrder() {
+    return getResultsInOrder().filter(result => !result.hasAttribute('data-gs-orderer-hidden'));
+  }
+
+  function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function formatRecordsAsCsv(records) {
+    const lines = [CSV_COLUMNS.join(',')];
+    records.forEach(record => {
+      lines.push(CSV_COLUMNS.map(column => escapeCsvValue(record[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  function formatRecordsAsJson(records) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      page: window.location.href,
+      count: records.length,
+      results: records
+    }, null, 2);
+  }
+
+  /**
+   * Rankings summarised for the BibTeX note / RIS N1 field
+   */
+  function formatRankingNote(record) {
+    const parts = [];
+    if (record.venueKey) parts.push(`Venue: ${record.venueKey}`);
+    if (record.core) parts.push(`CORE: ${record.core}`);
+    if (record.sjr) parts.push(`SJR: ${record.sjr}`);
+    if (record.jcr) parts.push(`JCR: ${record.jcr}`);
+    if (record.era) parts.push(`ERA: ${record.era}`);
+    if (record.qualis) parts.push(`QUALIS: ${record.qualis}`);
+    if (record.h5) parts.push(`h5: ${record.h5}`);
+    parts.push(`Citations: ${record.citations}`);
+    return parts.join('; ');
+  }
+
+  function escapeBibTeXValue(value) {
+    return String(value).replace(/([&%$#_{}])/g, '\\$1');
+  }
+
+  function createBibTeXKey(record, usedKeys) {
+    const firstAuthor = (record.authors[0] || 'anon').split(' ').pop().toLowerCase().replace(/[^a-z]/g, '');
+    const firstWord = (record.title.toLowerCase().match(/[a-z]{4,}/) || ['untitled'])[0];
+    const base = `${firstAuthor || 'anon'}${record.year || ''}${firstWord}`;
+    let key = base;
+    for (let suffix = 1; usedKeys.has(key); suffix++) {
+      key = `${base}${String.fromCharCode(96 + suffix)}`;
+    }
+    usedKeys.add(key);
+    return key;
+  }
+
+  function formatRecordsAsBibTeX(records) {
+    const usedKeys = new Set();
+    return records.map(record => {
+      const entryType = record.venueType === 'conference' ? 'inproceedings'
+        : record.venueType === 'journal' ? 'article' : 'misc';
+      const venueField = entryType === 'inproceedings' ? 'booktitle'
+        : entryType === 'article' ? 'journal' : 'howpublished';
+
+      const fields = [['title', `{${escapeBibTeXValue(record.title)}}`]];
+      if (record.authors.length) fields.push(['author', escapeBibTeXValue(record.authors.join(' and '))]);
+      if (record.venue) fields.push([venueField, escapeBibTeXValue(record.venue)]);
+      if (record.year) fields.push(['year', record.year]);
+      if (record.url) fields.push(['url', record.url]);
+      fields.push(['note', escapeBibTeXValue(formatRankingNote(record))]);
+
+      const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+      return `@${entryType}{${createBibTeXKey(record, usedKeys)},\n${body}\n}\n`;
+    }).join('\n');
+  }
+
+  function formatRecordsAsRis(records) {
+    return records.map(record => {
+      const lines = [];
+      const type = record.venueType === 'conference' ? 'CONF' : record.venueType === 'journal' ? 'JOUR' : 'GEN';
+      lines.push(`TY  - ${type}`);
+      lines.push(`TI  - ${record.title}`);
+      record.authors.forEach(author => lines.push(`AU  - ${author}`));
+      if (record.year) lines.push(`PY  - ${record.year}`);
+      if (record.venue) lines.push(`${type === 'JOUR' ? 'JO' : 'T2'}  - ${record.venue}`);
+      if (record.url) lines.push(`UR  - ${record.url}`);
+      lines.push(`N1  - ${formatRankingNote(record)}`);
+      lines.push('ER  - ');
+      return lines.join('\r\n');
+    }).join('\r\n\r\n') + '\r\n';
+  }
+
+  const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', format: formatRecordsAsCsv },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json', format: formatRecordsAsJson },
+    bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex', format: formatRecordsAsBibTeX },
+    ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems', format: formatRecordsAsRis }
+  };
+
+  function exportRecords(records, basename, formatKey) {
+    const exportFormat = EXPORT_FORMATS[formatKey];
+    if (!exportFormat) return;
+    logInfo('Exporting', records.length, 'records as', exportFormat.label);
+    downloadFile(`${basename}-${Date.now()}.${exportFormat.extension}`, exportFormat.format(records), exportFormat.mimeType);
+  }
+
+  function exportSearchResults(formatKey) {
+    const records = getVisibleResultsInOrder().map(getSearchResultRecord);
+    exportRecords(records, 'scholar-results', formatKey);
+  }
+
+  /**
+   * "Export…" dropdown; picking a format downloads immediately and resets the dropdown
+   */
+  function createExportSelect(onExport, title, formatKeys = Object.keys(EXPORT_FORMATS)) {
+    const select = document.createElement('select');
+    select.className = 'gs-orderer-export';
+    select.title = title;
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Export…';
+    select.appendChild(placeholder);
+
+    formatKeys.forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = EXPORT_FORMATS[key].label;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+      if (select.value) onExport(select.value);
+      select.value = '';
+    });
+    return select;
+  }
+
   // ============================================
   // UI Controls
   // ============================================
@@ -1411,8 +5344,18 @@
         <option value="default">Default (Relevance)</option>
         <option value="citations-desc">Citations (High to Low)</option>
         <option value="citations-asc">Citations (Low to High)</option>
+        <option value="citations-per-year">Citations per Year</option>
+        <option value="year-desc">Newest First</option>
+        <option value="year-asc">Oldest First</option>
+        <option value="core-rank">CORE Rank (A* first)</option>
+        <option value="sjr-rank">SJR Quartile (Q1 first)</option>
+        <option value="jcr-rank">JCR Quartile (Q1 first)</option>
+        <option value="qualis-rank">QUALIS Tier (A1 first)</option>
+        <option value="h5-desc">Venue h5-index (High to Low)</option>
+        <option value="quality-score">Quality Score (Composite)</option>
       </select>
       <span class="gs-orderer-info" title="Google Scholar Orderer: Sort by citations and view venue rankings (CORE, SJR, JCR, h5-index)">ℹ️</span>
+      <span id="gs-orderer-hidden-count"></span>
     `;
 
     const select = controls.querySelector('#gs-orderer-sort-select');
@@ -1420,6 +5363,10 @@
       sortResults(e.target.value);
     });
 
+    controls.appendChild(createResolveAllButton());
+    controls.appendChild(createExportSelect(exportSearchResults, 'Download the visible results, in the current order, with their venue rankings'));
+    controls.appendChild(createTraceExportButton());
+
     container.parentNode.insertBefore(controls, container);
   }
 
@@ -1427,6 +5374,33 @@
   // Mutation Observer
   // ============================================
 
+  /**
+   * Index, badge, sort and filter results added after the initial pass
+   */
+  function processNewResults() {
+    // Assign original indices and CSS order to any new results that don't have them
+    const container = document.querySelector(CONFIG.selectors.resultsContainer);
+    if (container) {
+      const results = container.querySelectorAll(CONFIG.selectors.resultItem);
+      let maxIndex = originalOrder.length;
+      results.forEach((el) => {
+        if (!el.hasAttribute('data-gs-orderer-original-index')) {
+          el.setAttribute('data-gs-orderer-original-index', maxIndex);
+          el.style.order = maxIndex;
+          originalOrder.push(el);
+          maxIndex++;
+        }
+      });
+    }
+
+    injectBadges();
+    if (currentSort !== 'default') {
+      sortResults(currentSort);
+    }
+    applyFilters();
+    updateResultSummaries();
+  }
+
   function setupMutationObserver() {
     const targetNode = document.querySelector(CONFIG.selectors.resultsContainer);
     if (!targetNode) return;
@@ -1437,9 +5411,12 @@
       mutations.forEach(mutation => {
         if (mutation.addedNodes.length > 0) {
           mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE &&
-                (node.matches?.(CONFIG.selectors.resultItem) ||
-                 node.querySelector?.(CONFIG.selectors.resultItem))) {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            const results = node.matches?.(CONFIG.selectors.resultItem)
+              ? [node]
+              : [...(node.querySelectorAll?.(CONFIG.selectors.resultItem) || [])];
+            // Entries appended by loadAllLibraryPages are processed before this runs
+            if (results.some(result => !result.hasAttribute('data-gs-orderer-original-index'))) {
               hasNewResults = true;
             }
           });
@@ -1448,27 +5425,7 @@
 
       if (hasNewResults) {
         // Debounce the reprocessing
-        setTimeout(() => {
-          // Assign original indices and CSS order to any new results that don't have them
-          const container = document.querySelector(CONFIG.selectors.resultsContainer);
-          if (container) {
-            const results = container.querySelectorAll(CONFIG.selectors.resultItem);
-            let maxIndex = originalOrder.length;
-            results.forEach((el) => {
-              if (!el.hasAttribute('data-gs-orderer-original-index')) {
-                el.setAttribute('data-gs-orderer-original-index', maxIndex);
-                el.style.order = maxIndex;
-                originalOrder.push(el);
-                maxIndex++;
-              }
-            });
-          }
-
-          injectBadges();
-          if (currentSort !== 'default') {
-            sortResults(currentSort);
-          }
-        }, 100);
+        setTimeout(processNewResults, 100);
       }
     });
 
@@ -1483,19 +5440,31 @@
   // ============================================
 
   async function init() {
-    console.log('[Scholar Orderer] Initializing...');
+    logInfo('Initializing...');
 
-    // Load rankings data first
+    // Load saved settings first (the log level applies to everything after), then the rankings data
+    await loadSettings();
     await loadRankingsData();
+    await loadVenueChoices();
+    await loadVenueOverrides();
+    await loadVenueLookupCache();
+    await loadLookupPause();
+    await loadPinnedAuthors();
+    setupOverrideMenu();
+    setupSettingsListener();
 
     // Check if we're on an author profile page
     const isProfilePage = document.querySelector(CONFIG.selectors.profileContainer) !== null;
 
-    // Check if we're on a search results page
+    // Check if we're on a search results page (My library and its labels list entries the same way)
     const isSearchPage = document.querySelector(CONFIG.selectors.resultsContainer) !== null;
+    const isLibraryPage = getSearchPageMode() === 'library';
+
+    // Check if we're on a Scholar Metrics venue list (top venues or venue search)
+    const isMetricsPage = document.querySelector(CONFIG.selectors.metricsTable) !== null;
 
     if (isProfilePage) {
-      console.log('[Scholar Orderer] Detected author profile page');
+      logInfo('Detected author profile page');
 
       // Create ranking distribution bar
       createRankingDistributionBar();
@@ -1503,28 +5472,50 @@
       // Inject ranking badges on profile page
       injectBadgesOnProfilePage();
 
+      // Sort control for the publication table
+      createProfileSortControls();
+
       // Setup observer for dynamic content (when user scrolls/loads more)
       setupProfileMutationObserver();
 
-      console.log('[Scholar Orderer] Profile page initialization complete');
+      logInfo('Profile page initialization complete');
     } else if (isSearchPage) {
-      console.log('[Scholar Orderer] Detected search results page');
+      logInfo(isLibraryPage ? 'Detected My library page' : 'Detected search results page');
 
       // Save original order
       saveOriginalOrder();
 
-      // Create sort controls
+      // Create sort and filter controls
       createSortControls();
+      createWeightSettings();
+      createFilterControls();
 
       // Inject ranking badges
       injectBadges();
+      if (settings.defaultSort !== 'default') {
+        sortResults(settings.defaultSort);
+      }
+      applyFilters();
+
+      // Venue-rank summary of citing papers / related articles, or per library label
+      updateResultSummaries();
 
       // Setup observer for dynamic content
       setupMutationObserver();
 
-      console.log('[Scholar Orderer] Search page initialization complete');
+      logInfo('Search page initialization complete');
+    } else if (isMetricsPage) {
+      logInfo('Detected Scholar Metrics venue page');
+
+      // Counts and h5 diff export above the venue table
+      createMetricsControls();
+
+      // Badge each venue and flag h5 values that differ from the bundled data
+      annotateMetricsPage();
+
+      logInfo('Metrics page initialization complete');
     } else {
-      console.log('[Scholar Orderer] Not a supported page type, skipping initialization');
+      logInfo('Not a supported page type, skipping initialization');
       return;
     }
   }
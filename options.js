@@ -0,0 +1,324 @@
+/**
+ * Google Scholar Orderer - Options Page
+ * Reads and writes user settings in chrome.storage.sync and venue overrides in chrome.storage.local;
+ * open Scholar tabs pick up changes live
+ */
+
+(function() {
+  'use strict';
+
+  const { DEFAULT_SETTINGS, DEFAULT_QUALITY_WEIGHTS, RANK_ORDER, mergeSettings } = GSOrdererShared;
+
+  let settings = null;
+  let qualityWeights = null;
+  let venueOverrides = null;
+  let statusTimer = null;
+
+  function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    clearTimeout(statusTimer);
+    // Errors stay until the next message replaces them
+    if (!isError) statusTimer = setTimeout(() => { status.textContent = ''; }, 1500);
+  }
+
+  async function saveSettings() {
+    await chrome.storage.sync.set({ settings });
+    showStatus('Settings saved');
+  }
+
+  async function saveQualityWeights() {
+    await chrome.storage.sync.set({ qualityWeights });
+    showStatus('Settings saved');
+  }
+
+  async function saveVenueOverrides(message = 'Overrides saved') {
+    await chrome.storage.local.set({ venueOverrides });
+    renderOverrides();
+    showStatus(message);
+  }
+
+  function describeOverride(name) {
+    if (venueOverrides.suppressed[name]) {
+      return `suppressed (was ${venueOverrides.suppressed[name]})`;
+    }
+    const key = venueOverrides.aliases[name];
+    const venue = venueOverrides.venues[key];
+    if (!venue) return `→ ${key}`;
+    const ranks = ['core', 'sjr', 'jcr'].filter(system => venue[system]).map(system => venue[system]);
+    if (venue.h5) ranks.push(`h5 ${venue.h5}`);
+    return `→ ${key} (new venue${ranks.length ? ': ' + ranks.join(', ') : ''})`;
+  }
+
+  function renderOverrides() {
+    const list = document.getElementById('override-list');
+    list.innerHTML = '';
+
+    const names = [...new Set([
+      ...Object.keys(venueOverrides.aliases),
+      ...Object.keys(venueOverrides.suppressed)
+    ])].sort();
+
+    if (names.length === 0 && venueOverrides.flags.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = 'No overrides yet.';
+      list.appendChild(empty);
+      return;
+    }
+
+    names.forEach(name => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = `${name} ${describeOverride(name)}`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        const key = venueOverrides.aliases[name];
+        delete venueOverrides.aliases[name];
+        delete venueOverrides.suppressed[name];
+        // Drop user venues nothing points to any more
+        if (key && !Object.values(venueOverrides.aliases).includes(key)) {
+          delete venueOverrides.venues[key];
+        }
+        saveVenueOverrides('Override removed');
+      });
+      item.appendChild(text);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+
+    venueOverrides.flags.forEach(flag => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = `${flag.name || flag.key} ⚠ ${flag.type || 'flagged'}${flag.reason ? ` (${flag.reason})` : ''}`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        venueOverrides.flags = venueOverrides.flags.filter(existing => existing !== flag);
+        saveVenueOverrides('Flag removed');
+      });
+      item.appendChild(text);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+  }
+
+  function exportOverrides() {
+    const blob = new Blob([JSON.stringify(venueOverrides, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'scholar-orderer-overrides.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  const OVERRIDE_SECTIONS = ['aliases', 'venues', 'suppressed'];
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function emptyOverrides() {
+    return { aliases: {}, venues: {}, suppressed: {}, flags: [] };
+  }
+
+  // A flag names a venue by dataset key and/or name, like the data file's "flags" entries
+  function isValidFlag(flag) {
+    return isPlainObject(flag) && (typeof flag.key === 'string' || typeof flag.name === 'string');
+  }
+
+  // Numeric venue fields; every other field of a user venue is a string
+  const NUMERIC_VENUE_FIELDS = new Set(['h5', 'if']);
+
+  /**
+   * Reason an imported user venue is unusable, or null: ranks must be known tiers, h5 and the
+   * impact factor numbers, and everything else strings (the values end up in badges and tooltips)
+   */
+  function findInvalidVenueField(venue) {
+    if (!isPlainObject(venue)) return 'is not an object';
+    for (const [field, value] of Object.entries(venue)) {
+      if (RANK_ORDER[field]) {
+        if (!RANK_ORDER[field].includes(value)) return `has an unknown ${field.toUpperCase()} rank`;
+      } else if (NUMERIC_VENUE_FIELDS.has(field)) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `has a non-numeric "${field}"`;
+      } else if (typeof value !== 'string') {
+        return `has a non-text "${field}"`;
+      }
+    }
+    return null;
+  }
+
+  function isSameFlag(a, b) {
+    return a.key === b.key && a.name === b.name && a.type === b.type;
+  }
+
+  /**
+   * Merge an exported overrides file into the current ones (imported entries win)
+   * Each section that is present must be an object (flags: a list of flag entries) and user venues
+   * must pass findInvalidVenueField; nothing is written otherwise
+   */
+  async function importOverrides(file) {
+    let imported;
+    try {
+      imported = JSON.parse(await file.text());
+    } catch (error) {
+      showStatus('Import failed: not a JSON file', true);
+      return;
+    }
+    if (!isPlainObject(imported)) {
+      showStatus('Import failed: unexpected format', true);
+      return;
+    }
+    const invalid = OVERRIDE_SECTIONS.find(section => section in imported && !isPlainObject(imported[section]));
+    if (invalid) {
+      showStatus(`Import failed: "${invalid}" is not an object`, true);
+      return;
+    }
+    for (const [key, venue] of Object.entries(imported.venues || {})) {
+      const problem = findInvalidVenueField(venue);
+      if (problem) {
+        showStatus(`Import failed: venue "${key}" ${problem}`, true);
+        return;
+      }
+    }
+    const badAlias = ['aliases', 'suppressed'].find(section =>
+      Object.values(imported[section] || {}).some(value => typeof value !== 'string'));
+    if (badAlias) {
+      showStatus(`Import failed: "${badAlias}" must map venue names to venue keys`, true);
+      return;
+    }
+    if ('flags' in imported && !(Array.isArray(imported.flags) && imported.flags.every(isValidFlag))) {
+      showStatus('Import failed: "flags" must be a list of entries with a "key" or "name"', true);
+      return;
+    }
+
+    OVERRIDE_SECTIONS.forEach(section => {
+      venueOverrides[section] = { ...venueOverrides[section], ...(imported[section] || {}) };
+    });
+    (imported.flags || []).forEach(flag => {
+      venueOverrides.flags = venueOverrides.flags.filter(existing => !isSameFlag(existing, flag));
+      venueOverrides.flags.push(flag);
+    });
+    await saveVenueOverrides('Overrides imported');
+  }
+
+  /**
+   * One row per ranking system with a points input per tier
+   */
+  function renderVenuePoints() {
+    const table = document.getElementById('venue-points');
+    table.innerHTML = '';
+
+    Object.entries(settings.venuePoints).forEach(([system, points]) => {
+      const row = document.createElement('tr');
+      const label = document.createElement('td');
+      label.textContent = system.toUpperCase();
+      row.appendChild(label);
+
+      Object.entries(points).forEach(([rank, value]) => {
+        const cell = document.createElement('td');
+        const cellLabel = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.5';
+        input.value = value;
+        input.addEventListener('change', () => {
+          settings.venuePoints[system][rank] = Math.max(0, parseFloat(input.value) || 0);
+          input.value = settings.venuePoints[system][rank];
+          saveSettings();
+        });
+        cellLabel.appendChild(document.createTextNode(`${rank} `));
+        cellLabel.appendChild(input);
+        cell.appendChild(cellLabel);
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+  }
+
+  function render() {
+    document.querySelectorAll('[data-badge]').forEach(input => {
+      input.checked = settings.badges[input.getAttribute('data-badge')];
+    });
+    document.querySelectorAll('[data-weight]').forEach(input => {
+      input.value = qualityWeights[input.getAttribute('data-weight')];
+    });
+    document.getElementById('default-sort').value = settings.defaultSort;
+    document.getElementById('distribution-mode').value = settings.distributionMode;
+    document.getElementById('log-level').value = settings.logLevel;
+    document.getElementById('lookup-interval').value = settings.lookupIntervalSeconds;
+    renderVenuePoints();
+    renderOverrides();
+  }
+
+  function wireControls() {
+    document.querySelectorAll('[data-badge]').forEach(input => {
+      input.addEventListener('change', () => {
+        settings.badges[input.getAttribute('data-badge')] = input.checked;
+        saveSettings();
+      });
+    });
+
+    document.querySelectorAll('[data-weight]').forEach(input => {
+      input.addEventListener('change', () => {
+        qualityWeights[input.getAttribute('data-weight')] = Math.max(0, parseFloat(input.value) || 0);
+        saveQualityWeights();
+      });
+    });
+
+    document.getElementById('default-sort').addEventListener('change', (e) => {
+      settings.defaultSort = e.target.value;
+      saveSettings();
+    });
+
+    document.getElementById('lookup-interval').addEventListener('change', (e) => {
+      settings.lookupIntervalSeconds = Math.max(1, parseInt(e.target.value, 10) || DEFAULT_SETTINGS.lookupIntervalSeconds);
+      e.target.value = settings.lookupIntervalSeconds;
+      saveSettings();
+    });
+
+    document.getElementById('distribution-mode').addEventListener('change', (e) => {
+      settings.distributionMode = e.target.value;
+      saveSettings();
+    });
+
+    document.getElementById('log-level').addEventListener('change', (e) => {
+      settings.logLevel = e.target.value;
+      saveSettings();
+    });
+
+    const importFile = document.getElementById('import-file');
+    document.getElementById('export-overrides').addEventListener('click', exportOverrides);
+    document.getElementById('import-overrides').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+      if (importFile.files[0]) importOverrides(importFile.files[0]);
+      importFile.value = '';
+    });
+    document.getElementById('clear-overrides').addEventListener('click', () => {
+      if (!confirm('Remove all venue overrides?')) return;
+      venueOverrides = emptyOverrides();
+      saveVenueOverrides('Overrides cleared');
+    });
+  }
+
+  async function init() {
+    const stored = await chrome.storage.sync.get(['settings', 'qualityWeights']);
+    settings = mergeSettings(stored.settings || {});
+    qualityWeights = { ...DEFAULT_QUALITY_WEIGHTS, ...(stored.qualityWeights || {}) };
+
+    const local = await chrome.storage.local.get('venueOverrides');
+    venueOverrides = { ...emptyOverrides(), ...(local.venueOverrides || {}) };
+
+    render();
+    wireControls();
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+
+})();
@@ -0,0 +1,123 @@
+/**
+ * Google Scholar Orderer - Shared Defaults
+ * Default settings, quality weights and ranking tiers used by the content script, the options
+ * page and the comparison page; loaded before each of them (manifest content_scripts and <script> tags)
+ */
+
+(function(global) {
+  'use strict';
+
+  // Log levels in increasing verbosity; settings.logLevel picks the most verbose level printed
+  const LOG_LEVELS = ['off', 'error', 'warn', 'info', 'debug'];
+
+  // Default user settings (persisted in chrome.storage.sync, edited on the options page)
+  const DEFAULT_SETTINGS = {
+    badges: {
+      core: true,
+      sjr: true,
+      jcr: true,
+      era: true,
+      qualis: true,
+      h5: true
+    },
+    defaultSort: 'default',
+    distributionMode: 'auto',
+    logLevel: 'off',
+    lookupIntervalSeconds: 2,
+    // Points per tier for the weighted venue score on profile pages
+    venuePoints: {
+      core: { 'A*': 4, 'A': 3, 'B': 2, 'C': 1 },
+      sjr: { 'Q1': 4, 'Q2': 3, 'Q3': 2, 'Q4': 1 },
+      jcr: { 'Q1': 4, 'Q2': 3, 'Q3': 2, 'Q4': 1 },
+      era: { 'A': 3, 'B': 2, 'C': 1 },
+      qualis: { 'A1': 7, 'A2': 6, 'B1': 5, 'B2': 4, 'B3': 3, 'B4': 2, 'B5': 1 }
+    }
+  };
+
+  // Tier order (best first) for each ranking system
+  const RANK_ORDER = {
+    core: ['A*', 'A', 'B', 'C'],
+    sjr: ['Q1', 'Q2', 'Q3', 'Q4'],
+    jcr: ['Q1', 'Q2', 'Q3', 'Q4'],
+    era: ['A', 'B', 'C'],
+    qualis: ['A1', 'A2', 'B1', 'B2', 'B3', 'B4', 'B5']
+  };
+
+  // Default per-signal weights for the composite quality score
+  const DEFAULT_QUALITY_WEIGHTS = {
+    citations: 1,
+    venueRank: 1,
+    h5: 0.5,
+    recency: 0.5
+  };
+
+  // Tiers (best first) and colours of each ranking system in the distribution bars
+  const DISTRIBUTION_RANK_DEFS = {
+    core: [
+      { key: 'A*', color: '#1e7e34', textColor: '#ffffff' },
+      { key: 'A', color: '#28a745', textColor: '#ffffff' },
+      { key: 'B', color: '#ffc107', textColor: '#212529' },
+      { key: 'C', color: '#6c757d', textColor: '#ffffff' },
+      { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
+    ],
+    sjr: [
+      { key: 'Q1', color: '#1a5276', textColor: '#ffffff' },
+      { key: 'Q2', color: '#2e86c1', textColor: '#ffffff' },
+      { key: 'Q3', color: '#85c1e9', textColor: '#212529' },
+      { key: 'Q4', color: '#d4e6f1', textColor: '#212529' },
+      { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
+    ],
+    jcr: [
+      { key: 'Q1', color: '#e65100', textColor: '#ffffff' },
+      { key: 'Q2', color: '#fb8c00', textColor: '#ffffff' },
+      { key: 'Q3', color: '#ffb74d', textColor: '#212529' },
+      { key: 'Q4', color: '#ffe0b2', textColor: '#212529' },
+      { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
+    ],
+    era: [
+      { key: 'A', color: '#00695c', textColor: '#ffffff' },
+      { key: 'B', color: '#26a69a', textColor: '#ffffff' },
+      { key: 'C', color: '#80cbc4', textColor: '#212529' },
+      { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
+    ],
+    qualis: [
+      { key: 'A1', color: '#4a148c', textColor: '#ffffff' },
+      { key: 'A2', color: '#7b1fa2', textColor: '#ffffff' },
+      { key: 'B1', color: '#ab47bc', textColor: '#ffffff' },
+      { key: 'B2', color: '#ce93d8', textColor: '#212529' },
+      { key: 'B3', color: '#e1bee7', textColor: '#212529' },
+      { key: 'B4', color: '#f3e5f5', textColor: '#212529' },
+      { key: 'B5', color: '#f8f0fa', textColor: '#212529' },
+      { key: 'Unranked', color: '#e0e0e0', textColor: '#757575' }
+    ]
+  };
+
+  /**
+   * Stored settings on top of the defaults; nested badge and venue point settings are merged per key
+   */
+  function mergeSettings(stored) {
+    const merged = {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      badges: { ...DEFAULT_SETTINGS.badges, ...(stored.badges || {}) },
+      venuePoints: {}
+    };
+    Object.entries(DEFAULT_SETTINGS.venuePoints).forEach(([system, points]) => {
+      merged.venuePoints[system] = { ...points, ...((stored.venuePoints || {})[system] || {}) };
+    });
+    if (!LOG_LEVELS.includes(merged.logLevel)) {
+      merged.logLevel = DEFAULT_SETTINGS.logLevel;
+    }
+    return merged;
+  }
+
+  global.GSOrdererShared = {
+    LOG_LEVELS,
+    RANK_ORDER,
+    DEFAULT_SETTINGS,
+    DEFAULT_QUALITY_WEIGHTS,
+    DISTRIBUTION_RANK_DEFS,
+    mergeSettings
+  };
+
+})(globalThis);